@@ -56,6 +56,58 @@ module.exports.WEBSOCKET_PROVIDER_OPTIONS = {
     },
 };
 
+module.exports.TRANSACTION_OPTIONS = {
+    receiptPollingInterval: 1000, // ms
+    stuckTransactionTimeout: 2 * 60 * 1000, // ms
+    maxReplacements: 3,
+    feeBumpPercentage: 20,
+    gasLimitMultiplier: 1.2,
+    priorityFeePercentile: 50,
+    feeHistoryBlockCount: 10,
+    reuseAllowance: false, // increase the allowance by the whole token amount of every transaction
+};
+
+module.exports.LOG_OPTIONS = {
+    blockRange: 10000, // blocks read by a single eth_getLogs request, RPCs limit the range
+};
+
+module.exports.NODE_WEBSOCKET_OPTIONS = {
+    reconnect: {
+        auto: true,
+        delay: 1000, // ms
+        maxAttempts: 5,
+    },
+    requestTimeout: 60 * 1000, // ms
+    operationResultTTL: 5 * 60 * 1000, // ms, results pushed before the client subscribed
+};
+
+module.exports.NODE_HTTP_OPTIONS = {
+    retry: {
+        delay: 1000, // ms, doubled after every retry
+        // responses of overloaded or restarting nodes, other errors are returned right away
+        statusCodes: [408, 429, 500, 502, 503, 504],
+        // request never reached the node, so it can be resent even if it isn't idempotent
+        connectionErrorCodes: ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'],
+    },
+};
+
+module.exports.NODE_POOL_STRATEGIES = {
+    ROUND_ROBIN: 'round-robin',
+    LATENCY: 'latency',
+};
+
+module.exports.NODE_POOL_OPTIONS = {
+    strategy: this.NODE_POOL_STRATEGIES.ROUND_ROBIN,
+    healthCheckInterval: 30 * 1000, // ms, nodes are checked again through /info after this time
+};
+
+module.exports.SOCKET_MESSAGE_TYPES = {
+    REQUEST: 'request',
+    RESPONSE: 'response',
+    SUBSCRIBE: 'subscribe',
+    OPERATION_RESULT: 'operation-result',
+};
+
 module.exports.OPERATIONS = {
     PUBLISH: 'publish',
     GET: 'get',
@@ -118,8 +170,27 @@ module.exports.QUERY_TYPES = {
     SELECT: 'SELECT',
 };
 
+module.exports.RENEWAL_STATUSES = {
+    RENEW: 'RENEW',
+    OVER_BUDGET: 'OVER_BUDGET',
+    NOT_EXPIRING: 'NOT_EXPIRING',
+    EXPIRED: 'EXPIRED',
+    NOT_OWNER: 'NOT_OWNER',
+    PENDING_UPDATE: 'PENDING_UPDATE',
+    FAILED: 'FAILED',
+};
+
+module.exports.ASSET_EVENTS = {
+    ASSET_MINTED: 'AssetMinted',
+    ASSET_STATE_UPDATED: 'AssetStateUpdated',
+    ASSET_STATE_UPDATE_CANCELED: 'AssetStateUpdateCanceled',
+    ASSET_BURNT: 'AssetBurnt',
+    TRANSFER: 'Transfer',
+};
+
 module.exports.OPERATIONS_STEP_STATUS = {
     INCREASE_ALLOWANCE_COMPLETED: 'INCREASE_ALLOWANCE_COMPLETED',
+    DECREASE_ALLOWANCE_COMPLETED: 'DECREASE_ALLOWANCE_COMPLETED',
     CREATE_ASSET_COMPLETED: 'CREATE_ASSET_COMPLETED',
     NETWORK_PUBLISH_COMPLETED: 'NETWORK_PUBLISH_COMPLETED',
 };
@@ -130,10 +201,22 @@ module.exports.DEFAULT_PARAMETERS = {
     PORT: 8900,
     FREQUENCY: 5,
     MAX_NUMBER_OF_RETRIES: 5,
+    // backoff and jitter are opt-in, by default the status is checked every FREQUENCY seconds
+    BACKOFF_FACTOR: 1,
+    MAX_FREQUENCY: null,
+    JITTER: 0,
+    OPERATION_TIMEOUT: null,
+    REQUEST_TIMEOUT: 60 * 1000,
+    REQUEST_RETRIES: 2,
+    CONCURRENCY: 5,
+    HORIZON_EPOCHS: 1,
+    CONFIRMATIONS: 6,
     HASH_FUNCTION_ID: 1,
     SCORE_FUNCTION_ID: 1,
     IMMUTABLE: false,
+    DRY_RUN: false,
     VALIDATE: true,
+    STRICT: false,
     OUTPUT_FORMAT: this.GET_OUTPUT_FORMATS.JSON_LD,
     STATE: this.ASSET_STATES.LATEST,
     CONTENT_TYPE: this.CONTENT_TYPES.PUBLIC,
@@ -0,0 +1,129 @@
+/**
+ * Base class of all errors thrown by the client. errorType is kept for consumers
+ * that handle the { errorType, errorMessage } objects returned outside of strict mode.
+ */
+class DkgClientError extends Error {
+    constructor(message, { cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.errorType = 'DKG_CLIENT_ERROR';
+        if (cause) this.cause = cause;
+    }
+
+    toErrorObject() {
+        return { errorType: this.errorType, errorMessage: this.message };
+    }
+}
+
+/**
+ * Invalid arguments or options, or a request that can't be executed for the current asset state.
+ */
+class ValidationError extends DkgClientError {}
+
+/**
+ * Request to the node failed, status is the HTTP status code when the node responded.
+ */
+class NodeApiError extends DkgClientError {
+    constructor(message, { status, operationId, cause } = {}) {
+        super(message, { cause });
+        this.status = status ?? cause?.response?.status ?? cause?.status ?? null;
+        this.operationId = operationId ?? null;
+    }
+}
+
+/**
+ * Operation didn't reach a final status within the retries or time limit.
+ */
+class OperationTimeoutError extends DkgClientError {
+    constructor(message, { operation, operationId, status, cause } = {}) {
+        super(message, { cause });
+        this.operation = operation ?? null;
+        this.operationId = operationId ?? null;
+        this.status = status ?? null;
+    }
+}
+
+/**
+ * Operation reached the FAILED status on the node, nodeErrorType is the error type reported by the node.
+ */
+class OperationFailedError extends DkgClientError {
+    constructor(message, { operation, operationId, nodeErrorType, cause } = {}) {
+        super(message, { cause });
+        this.operation = operation ?? null;
+        this.operationId = operationId ?? null;
+        this.nodeErrorType = nodeErrorType ?? null;
+    }
+}
+
+/**
+ * Merkle root of the received assertion doesn't match the one committed on chain.
+ */
+class AssertionIntegrityError extends DkgClientError {
+    constructor(message, { expectedAssertionId, calculatedAssertionId } = {}) {
+        super(message);
+        this.expectedAssertionId = expectedAssertionId ?? null;
+        this.calculatedAssertionId = calculatedAssertionId ?? null;
+    }
+}
+
+/**
+ * Transaction couldn't be sent, was reverted or wasn't mined in time. revertError holds the name,
+ * signature and arguments of the error the contract reverted with, when it could be decoded.
+ */
+class BlockchainTransactionError extends DkgClientError {
+    constructor(message, { transactionHash, receipt, revertReason, revertError, cause } = {}) {
+        super(message, { cause });
+        this.transactionHash = transactionHash ?? receipt?.transactionHash ?? null;
+        this.receipt = receipt ?? null;
+        this.revertReason = revertReason ?? null;
+        this.revertError = revertError ?? null;
+    }
+}
+
+/**
+ * Token allowance of the spending contract is lower than the amount it needs to transfer.
+ */
+class InsufficientAllowanceError extends DkgClientError {
+    constructor(message, { allowance, requiredAmount, cause } = {}) {
+        super(message, { cause });
+        this.allowance = allowance != null ? allowance.toString() : null;
+        this.requiredAmount = requiredAmount != null ? requiredAmount.toString() : null;
+    }
+}
+
+/**
+ * Balance of the account is lower than the amount the transaction needs, either TRAC or the native
+ * token used to pay the fees.
+ */
+class InsufficientBalanceError extends DkgClientError {
+    constructor(message, { balance, requiredAmount, cause } = {}) {
+        super(message, { cause });
+        this.balance = balance != null ? balance.toString() : null;
+        this.requiredAmount = requiredAmount != null ? requiredAmount.toString() : null;
+    }
+}
+
+/**
+ * Not enough RPCs returned the same result of a read that requires a quorum. agreeingCount is the
+ * number of RPCs behind the most common result.
+ */
+class RpcQuorumError extends DkgClientError {
+    constructor(message, { quorum, agreeingCount, cause } = {}) {
+        super(message, { cause });
+        this.quorum = quorum ?? null;
+        this.agreeingCount = agreeingCount ?? null;
+    }
+}
+
+module.exports = {
+    DkgClientError,
+    ValidationError,
+    NodeApiError,
+    OperationTimeoutError,
+    OperationFailedError,
+    AssertionIntegrityError,
+    BlockchainTransactionError,
+    InsufficientAllowanceError,
+    InsufficientBalanceError,
+    RpcQuorumError,
+};
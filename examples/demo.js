@@ -76,6 +76,12 @@ function divider() {
 
     divider();
 
+    const infoResult = await DkgClient.asset.getInfo(createAssetResult.UAL);
+    console.log('======================== GET ASSET INFO');
+    console.log(infoResult);
+
+    divider();
+
     const getAssetResult = await DkgClient.asset.get(createAssetResult.UAL);
     console.log('======================== ASSET RESOLVED');
     console.log(JSON.stringify(getAssetResult, null, 2));
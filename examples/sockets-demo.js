@@ -1,47 +1,62 @@
-const DKG = require('../index');
-
-const OT_NODE_HOSTNAME = 'localhost';
-const OT_NODE_PORT = '8903';
-
-// initialize connection to your DKG Node
-let options = { endpoint: OT_NODE_HOSTNAME, port: OT_NODE_PORT, };
-const dkg = new DKG(options);
-
-async function main() {
-    console.log('============ DKG-Client v6 Demo ===================');
-
-    options = {
-        operation: 'PUBLISH',
-        metadata: {
-            type: 'Product',
-            issuer: '0x4609ffd1d9bc8ebeeb048834721dbe43e420e528',
-            visibility: 'public',
-            keywords: ['24.06.2022', 'awdaawd8'],
-            dataRootId: 'https://origintrail.io/default-data-id',
-        },
-        data: [
-            '<https://origintrail.io/default-data-id> <http://schema.org/aggregateRating> _:c14n5 .',
-            '<https://origintrail.io/default-data-id> <http://schema.org/offers> _:c14n2 .',
-        ],
-        ual: 'dkg://did.otp.0x174714134abcd13431413413/987654321',
-    };
-
-    await dkg.socketPublish(options).then((result) => {
-        console.log('============ Publish results ===================');
-        console.log(JSON.stringify(result, null, 2));
-        console.log('===============================');
-    });
+const DKG = require('../index.js');
+
+const OT_NODE_HOSTNAME = 'ws://localhost';
+const OT_NODE_PORT = '8900';
+const PUBLIC_KEY = '0x6667B080f284Cbb21da806C2A9c95B89A6958262';
+const PRIVATE_KEY = '0x0de6d6c050c9b733be7377d54b01be0c4cf035110a73b19e7289812cd1ee5f7b';
+
+// operation results are pushed by the node over the websocket connection instead of being polled
+const DkgClient = new DKG({
+    endpoint: OT_NODE_HOSTNAME,
+    port: OT_NODE_PORT,
+    communicationType: 'Sockets',
+    blockchain: {
+        name: 'hardhat',
+        publicKey: PUBLIC_KEY,
+        privateKey: PRIVATE_KEY,
+    },
+    maxNumberOfRetries: 30,
+    frequency: 2,
+});
+
+function divider() {
+    console.log('==================================================');
+    console.log('==================================================');
+    console.log('==================================================');
 }
 
-/* const keypress = async () => {
-    console.log('Press any key...');
-    process.stdin.setRawMode(true);
-    return new Promise((resolve) =>
-        process.stdin.once('data', () => {
-            process.stdin.setRawMode(false);
-            resolve();
-        }),
+(async () => {
+    divider();
+
+    const nodeInfo = await DkgClient.node.info();
+    console.log('======================== NODE INFO RECEIVED');
+    console.log(nodeInfo);
+
+    divider();
+
+    const createAssetResult = await DkgClient.asset.create(
+        {
+            public: {
+                '@context': ['https://schema.org'],
+                '@id': 'uuid:1',
+                company: 'OT',
+                city: {
+                    '@id': 'uuid:belgrade',
+                },
+            },
+        },
+        { epochsNum: 2 },
     );
-}; */
+    console.log('======================== ASSET CREATED');
+    console.log(createAssetResult);
+
+    divider();
+
+    const getAssetResult = await DkgClient.asset.get(createAssetResult.UAL);
+    console.log('======================== ASSET RESOLVED');
+    console.log(JSON.stringify(getAssetResult, null, 2));
+
+    divider();
 
-main();
+    process.exit(0);
+})();
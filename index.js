@@ -2,8 +2,12 @@
 const AssetOperationsManager = require('./managers/asset-operations-manager.js');
 const GraphOperationsManager = require('./managers/graph-operations-manager.js');
 const NodeOperationsManager = require('./managers/node-operations-manager.js');
+const TokenOperationsManager = require('./managers/token-operations-manager.js');
+const ServiceAgreementOperationsManager = require('./managers/service-agreement-operations-manager.js');
+const EventsOperationsManager = require('./managers/events-operations-manager.js');
 
 const BaseServiceManager = require('./services/base-service-manager.js');
+const { verifyMerkleProof } = require('./services/utilities.js');
 
 class DkgClient {
     constructor(config) {
@@ -13,6 +17,17 @@ class DkgClient {
         this.asset = new AssetOperationsManager(config, services);
         this.node = new NodeOperationsManager(config, services);
         this.graph = new GraphOperationsManager(config, services);
+        this.token = new TokenOperationsManager(config, services);
+        this.serviceAgreement = new ServiceAgreementOperationsManager(config, services);
+        this.events = new EventsOperationsManager(config, services);
+    }
+
+    /**
+     * Verifies a Merkle inclusion proof returned by asset.proveTriple, no client is needed.
+     */
+    static verifyProof(assertionId, quad, proof) {
+        return verifyMerkleProof(assertionId, quad, proof);
     }
 }
 module.exports = DkgClient;
+Object.assign(module.exports, require('./errors.js'));
@@ -1,4 +1,9 @@
-const { assertionMetadata, formatAssertion, calculateRoot } = require('assertion-tools');
+const {
+    assertionMetadata,
+    formatAssertion,
+    calculateRoot,
+    getMerkleProof,
+} = require('assertion-tools');
 const { ethers } = require('ethers');
 const {
     isEmptyObject,
@@ -7,8 +12,12 @@ const {
     resolveUAL,
     toNQuads,
     toJSONLD,
-    sleepForMilliseconds,
     deriveRepository,
+    mapWithConcurrency,
+    diffNQuads,
+    verifyMerkleProof,
+    getOperationError,
+    getAgreementEpochs,
 } = require('../services/utilities.js');
 const {
     CONTENT_TYPES,
@@ -20,16 +29,29 @@ const {
     PRIVATE_ASSERTION_PREDICATE,
     QUERY_TYPES,
     DEFAULT_PARAMETERS,
+    RENEWAL_STATUSES,
 } = require('../constants.js');
 const emptyHooks = require('../util/empty-hooks');
-const { STORE_TYPES, ASSET_STATES } = require('../constants');
+const {
+    DkgClientError,
+    ValidationError,
+    OperationFailedError,
+    AssertionIntegrityError,
+    InsufficientAllowanceError,
+} = require('../errors.js');
+const { STORE_TYPES, ASSET_STATES, GRAPH_STATES } = require('../constants');
 
 class AssetOperationsManager {
     constructor(config, services) {
         this.nodeApiService = services.nodeApiService;
+        this.operationTracker = services.operationTracker;
         this.validationService = services.validationService;
         this.blockchainService = services.blockchainService;
         this.inputService = services.inputService;
+        this.publishJournal = services.publishJournal;
+        this.checkpointStore = services.checkpointStore;
+        // AssetMinted events by UAL, a token is minted only once
+        this.mintedEvents = {};
     }
 
     /**
@@ -37,19 +59,13 @@ class AssetOperationsManager {
      * @async
      * @param {Object} content - The content of the asset to be created, contains public, private or both keys.
      * @param {Object} [options={}] - Additional options for asset creation.
+     * @param {boolean} [options.dryRun] - Estimate the costs of asset creation without sending any transaction.
+     * @param {boolean} [options.strict] - Throw typed errors instead of returning results of failed operations.
      * @param {Object} [stepHooks=emptyHooks] - Hooks to execute during asset creation.
-     * @returns {Object} Object containing UAL, publicAssertionId and operation status.
+     * @returns {Object} Object containing UAL, publicAssertionId and operation status, or the cost breakdown for a dry run.
      */
     async create(content, options = {}, stepHooks = emptyHooks) {
-        this.validationService.validateObjectType(content);
-        let jsonContent = {};
-
-        // for backwards compatibility
-        if (!content.public && !content.private) {
-            jsonContent.public = content;
-        } else {
-            jsonContent = content;
-        }
+        const jsonContent = this._getJsonContent(content);
 
         const {
             blockchain,
@@ -63,7 +79,10 @@ class AssetOperationsManager {
             immutable,
             tokenAmount,
             authToken,
+            dryRun,
         } = this.inputService.getAssetCreateArguments(options);
+        const operationTrackingArguments = this.inputService.getOperationTrackingArguments(options);
+        const requestOptions = this.inputService.getRequestOptions(options);
 
         this.validationService.validateAssetCreate(
             jsonContent,
@@ -78,28 +97,11 @@ class AssetOperationsManager {
             immutable,
             tokenAmount,
             authToken,
+            dryRun,
         );
 
-        let privateAssertion;
-        let privateAssertionId;
-        if (jsonContent.private && !isEmptyObject(jsonContent.private)) {
-            privateAssertion = await formatAssertion(jsonContent.private);
-            privateAssertionId = calculateRoot(privateAssertion);
-        }
-        const publicGraph = {
-            '@graph': [
-                jsonContent.public && !isEmptyObject(jsonContent.public)
-                    ? jsonContent.public
-                    : null,
-                jsonContent.private && !isEmptyObject(jsonContent.private)
-                    ? {
-                          [PRIVATE_ASSERTION_PREDICATE]: privateAssertionId,
-                      }
-                    : null,
-            ],
-        };
-        const publicAssertion = await formatAssertion(publicGraph);
-        const publicAssertionId = calculateRoot(publicAssertion);
+        const { publicAssertion, publicAssertionId, privateAssertion, privateAssertionId } =
+            await this._formatAssertions(jsonContent);
 
         const contentAssetStorageAddress = await this.blockchainService.getContractAddress(
             'ContentAssetStorage',
@@ -118,109 +120,711 @@ class AssetOperationsManager {
                 contentAssetStorageAddress,
                 publicAssertionId,
                 hashFunctionId,
+                requestOptions,
             ));
 
-        const tokenId = await this.blockchainService.createAsset(
-            {
-                publicAssertionId,
-                assertionSize: assertionMetadata.getAssertionSizeInBytes(publicAssertion),
-                triplesNumber: assertionMetadata.getAssertionTriplesNumber(publicAssertion),
-                chunksNumber: assertionMetadata.getAssertionChunksNumber(publicAssertion),
-                epochsNum,
-                tokenAmount: tokenAmountInWei,
-                scoreFunctionId: scoreFunctionId ?? 1,
-                immutable_: immutable,
-            },
+        const journalEntry = this._createJournalEntry(
             blockchain,
-            stepHooks,
+            contentAssetStorageAddress,
+            { publicAssertion, publicAssertionId, privateAssertion, privateAssertionId },
+            { epochsNum, hashFunctionId, scoreFunctionId, immutable },
+            tokenAmountInWei,
         );
 
-        const resolvedUAL = {
-            blockchain: blockchain.name.startsWith('otp') ? 'otp' : blockchain.name,
-            contract: contentAssetStorageAddress,
-            tokenId,
-        };
-        const assertions = [
+        if (dryRun) {
+            const { requestData } = journalEntry;
+            return this._getDryRunResult(
+                await this.blockchainService.estimateCreateAsset(requestData, blockchain),
+                {
+                    publicAssertionId,
+                    assertionSize: requestData.assertionSize,
+                    triplesNumber: requestData.triplesNumber,
+                    chunksNumber: requestData.chunksNumber,
+                    tokenAmount: tokenAmountInWei.toString(),
+                },
+            );
+        }
+
+        journalEntry.id = await this.publishJournal.begin(journalEntry);
+
+        return this._executeCreateSteps(
+            journalEntry,
             {
-                ...resolvedUAL,
-                assertionId: publicAssertionId,
-                assertion: publicAssertion,
-                storeType: STORE_TYPES.TRIPLE,
+                blockchain,
+                endpoint,
+                port,
+                authToken,
+                maxNumberOfRetries,
+                frequency,
+                operationTrackingArguments,
+                requestOptions,
+                strict: this.inputService.getStrict(options),
             },
-        ];
-        if (privateAssertion?.length) {
-            assertions.push({
-                ...resolvedUAL,
-                assertionId: privateAssertionId,
-                assertion: privateAssertion,
-                storeType: STORE_TYPES.TRIPLE,
-            });
-        }
-        let operationId = await this.nodeApiService.localStore(
+            stepHooks,
+        );
+    }
+
+    /**
+     * Creates multiple assets, increasing the allowance only once for all of them.
+     * Assertions and bid suggestions are prepared up front, mint transactions are sent back to
+     * back without waiting for each other's receipts, and assets are then stored locally and
+     * published. All steps run with bounded concurrency. A failure of one asset
+     * doesn't stop the others, it's reported in the result of that asset.
+     * @async
+     * @param {Object[]} contents - Contents of the assets, each contains public, private or both keys.
+     * @param {Object} [options={}] - Additional options for asset creation, shared by all assets.
+     * @param {number} [options.concurrency] - Max number of assets prepared, minted or published at the same time.
+     * @param {boolean} [options.strict] - Failures of single assets are still returned in the results.
+     * @param {Object} [stepHooks=emptyHooks] - Hooks to execute during asset creation.
+     * @returns {Object[]} Results in the same order as contents, same as the result of create or errorType and errorMessage for failed assets.
+     */
+    async createMany(contents, options = {}, stepHooks = emptyHooks) {
+        const {
+            blockchain,
             endpoint,
             port,
+            maxNumberOfRetries,
+            frequency,
+            epochsNum,
+            hashFunctionId,
+            scoreFunctionId,
+            immutable,
+            tokenAmount,
             authToken,
-            assertions,
-        );
-        let operationResult = await this.nodeApiService.getOperationResult(
+            concurrency,
+        } = this.inputService.getAssetCreateManyArguments(options);
+        const operationTrackingArguments = this.inputService.getOperationTrackingArguments(options);
+        const requestOptions = this.inputService.getRequestOptions(options);
+
+        this.validationService.validateAssetCreateMany(
+            contents,
+            blockchain,
             endpoint,
             port,
-            authToken,
-            OPERATIONS.LOCAL_STORE,
             maxNumberOfRetries,
-            DEFAULT_GET_LOCAL_STORE_RESULT_FREQUENCY,
-            operationId,
+            frequency,
+            epochsNum,
+            hashFunctionId,
+            scoreFunctionId,
+            immutable,
+            tokenAmount,
+            authToken,
+            concurrency,
         );
 
-        const UAL = deriveUAL(
-            blockchain.name.startsWith('otp') ? 'otp' : blockchain.name,
-            contentAssetStorageAddress,
-            tokenId,
+        const contentAssetStorageAddress = await this.blockchainService.getContractAddress(
+            'ContentAssetStorage',
+            blockchain,
         );
 
-        if (operationResult.status === OPERATION_STATUSES.FAILED) {
-            return {
-                UAL,
-                assertionId: publicAssertionId,
-                operation: getOperationStatusObject(operationResult, operationId),
-            };
+        const results = new Array(contents.length);
+        // per-asset failures are reported in the results, also in strict mode
+        const setFailedResult = (index, error, data = {}) => {
+            results[index] = { ...data, ...this._toErrorObject(error) };
+        };
+
+        const journalEntries = await mapWithConcurrency(
+            contents,
+            concurrency,
+            async (content, index) => {
+                try {
+                    const jsonContent = this._getJsonContent(content);
+                    this.validationService.validateContent(jsonContent);
+
+                    const assertions = await this._formatAssertions(jsonContent);
+                    const tokenAmountInWei =
+                        tokenAmount ??
+                        (await this.nodeApiService.getBidSuggestion(
+                            endpoint,
+                            port,
+                            authToken,
+                            blockchain.name.startsWith('otp') ? 'otp' : blockchain.name,
+                            epochsNum,
+                            assertionMetadata.getAssertionSizeInBytes(assertions.publicAssertion),
+                            contentAssetStorageAddress,
+                            assertions.publicAssertionId,
+                            hashFunctionId,
+                            requestOptions,
+                        ));
+
+                    const journalEntry = this._createJournalEntry(
+                        blockchain,
+                        contentAssetStorageAddress,
+                        assertions,
+                        { epochsNum, hashFunctionId, scoreFunctionId, immutable },
+                        tokenAmountInWei,
+                    );
+                    journalEntry.id = await this.publishJournal.begin(journalEntry);
+
+                    return journalEntry;
+                } catch (error) {
+                    setFailedResult(index, error);
+                    return null;
+                }
+            },
+        );
+
+        const preparedIndexes = journalEntries
+            .map((journalEntry, index) => (journalEntry ? index : null))
+            .filter((index) => index !== null);
+        if (!preparedIndexes.length) return results;
+
+        const totalTokenAmount = preparedIndexes.reduce(
+            (sum, index) => sum + BigInt(journalEntries[index].requestData.tokenAmount),
+            0n,
+        );
+        const increasedAmount = BigInt(
+            await this.blockchainService.prepareServiceAgreementV1Allowance(
+                totalTokenAmount.toString(),
+                blockchain,
+            ),
+        );
+        // every entry is given its part of the increase, to be reverted if it's resumed and fails
+        let unassignedAmount = increasedAmount;
+        await Promise.all(
+            preparedIndexes.map((index) => {
+                const tokenAmountOfEntry = BigInt(journalEntries[index].requestData.tokenAmount);
+                const increasedAmountOfEntry =
+                    tokenAmountOfEntry < unassignedAmount ? tokenAmountOfEntry : unassignedAmount;
+                unassignedAmount -= increasedAmountOfEntry;
+
+                journalEntries[index].status = OPERATIONS_STEP_STATUS.INCREASE_ALLOWANCE_COMPLETED;
+                return this.publishJournal.recordStep(
+                    journalEntries[index].id,
+                    OPERATIONS_STEP_STATUS.INCREASE_ALLOWANCE_COMPLETED,
+                    { increasedAmount: increasedAmountOfEntry.toString() },
+                );
+            }),
+        );
+        await stepHooks.afterHook({
+            status: OPERATIONS_STEP_STATUS.INCREASE_ALLOWANCE_COMPLETED,
+        });
+
+        // mint transactions are sent one after another with consecutive nonces, receipts are
+        // awaited together
+        const mintedIndexes = [];
+        const notMintedIndexes = [];
+        await mapWithConcurrency(preparedIndexes, concurrency, async (index) => {
+            const journalEntry = journalEntries[index];
+
+            let tokenId;
+            try {
+                tokenId = await this.blockchainService.mintAsset(
+                    journalEntry.requestData,
+                    blockchain,
+                    (transaction) =>
+                        this.publishJournal.recordTransaction(journalEntry.id, transaction),
+                );
+            } catch (error) {
+                notMintedIndexes.push(index);
+                setFailedResult(index, error, {
+                    publicAssertionId: journalEntry.requestData.publicAssertionId,
+                    ...(journalEntry.id && { journalId: journalEntry.id }),
+                });
+            }
+
+            if (tokenId != null) {
+                journalEntry.tokenId = tokenId;
+                journalEntry.status = OPERATIONS_STEP_STATUS.CREATE_ASSET_COMPLETED;
+                await this.publishJournal.recordStep(
+                    journalEntry.id,
+                    OPERATIONS_STEP_STATUS.CREATE_ASSET_COMPLETED,
+                    { tokenId },
+                );
+                await stepHooks.afterHook({
+                    status: OPERATIONS_STEP_STATUS.CREATE_ASSET_COMPLETED,
+                    data: { tokenId },
+                });
+                mintedIndexes.push(index);
+            }
+        });
+
+        if (notMintedIndexes.length) {
+            const unusedTokenAmount = notMintedIndexes.reduce(
+                (sum, index) => sum + BigInt(journalEntries[index].requestData.tokenAmount),
+                0n,
+            );
+            // a reused allowance that existed before is left as it was
+            const decreasedAmount =
+                unusedTokenAmount < increasedAmount ? unusedTokenAmount : increasedAmount;
+            try {
+                if (decreasedAmount > 0n) {
+                    await this.blockchainService.decreaseServiceAgreementV1Allowance(
+                        decreasedAmount.toString(),
+                        blockchain,
+                    );
+                }
+                await Promise.all(
+                    notMintedIndexes.map((index) =>
+                        this.publishJournal.recordStep(
+                            journalEntries[index].id,
+                            OPERATIONS_STEP_STATUS.DECREASE_ALLOWANCE_COMPLETED,
+                        ),
+                    ),
+                );
+                await stepHooks.afterHook({
+                    status: OPERATIONS_STEP_STATUS.DECREASE_ALLOWANCE_COMPLETED,
+                });
+            } catch (error) {
+                // the allowance stays available, resuming the failed assets will use it for minting
+            }
         }
+        await this.blockchainService.releaseServiceAgreementV1Allowance(
+            totalTokenAmount.toString(),
+            blockchain,
+        );
 
-        operationId = await this.nodeApiService.publish(
+        await mapWithConcurrency(mintedIndexes, concurrency, async (index) => {
+            const journalEntry = journalEntries[index];
+            try {
+                results[index] = await this._executeCreateSteps(
+                    journalEntry,
+                    {
+                        blockchain,
+                        endpoint,
+                        port,
+                        authToken,
+                        maxNumberOfRetries,
+                        frequency,
+                        operationTrackingArguments,
+                        requestOptions,
+                        strict: this.inputService.getStrict(options),
+                    },
+                    stepHooks,
+                );
+            } catch (error) {
+                setFailedResult(index, error, {
+                    UAL: deriveUAL(
+                        blockchain.name.startsWith('otp') ? 'otp' : blockchain.name,
+                        contentAssetStorageAddress,
+                        journalEntry.tokenId,
+                    ),
+                    publicAssertionId: journalEntry.requestData.publicAssertionId,
+                    ...(journalEntry.id && { journalId: journalEntry.id }),
+                });
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Resumes an asset creation that was interrupted, starting from the first step
+     * not recorded in the publish journal. The tokenId of an already minted asset is reused.
+     * Requires journaling to be enabled with the `journal` config option.
+     * @async
+     * @param {string} journalId - Id of the publish journal entry.
+     * @param {Object} [options={}] - Additional options, same as for asset creation.
+     * @param {Object} [options.content] - Content of the asset, required when it has a private
+     * assertion that wasn't journaled, see the journal.includePrivateAssertions config option.
+     * @param {Object} [stepHooks=emptyHooks] - Hooks to execute during asset creation.
+     * @returns {Object} Object containing UAL, publicAssertionId and operation status.
+     */
+    async resume(journalId, options = {}, stepHooks = emptyHooks) {
+        if (!this.publishJournal.isEnabled()) {
+            throw new ValidationError(
+                'Publish journal is not enabled, set the "journal" config option.',
+            );
+        }
+        const journalEntry = await this.publishJournal.get(journalId);
+        if (!journalEntry)
+            throw new ValidationError(`Unable to find publish journal entry: ${journalId}.`);
+
+        const { blockchain, endpoint, port, maxNumberOfRetries, frequency, authToken } =
+            this.inputService.getAssetCreateArguments({
+                ...options,
+                blockchain: { ...journalEntry.blockchain, ...options.blockchain },
+            });
+        const operationTrackingArguments = this.inputService.getOperationTrackingArguments(options);
+        const requestOptions = this.inputService.getRequestOptions(options);
+
+        this.validationService.validateAssetResume(
+            journalId,
+            blockchain,
             endpoint,
             port,
+            maxNumberOfRetries,
+            frequency,
             authToken,
-            publicAssertionId,
-            publicAssertion,
-            blockchain.name.startsWith('otp') ? 'otp' : blockchain.name,
+        );
+
+        if (journalEntry.privateAssertionId && !journalEntry.privateAssertion) {
+            journalEntry.privateAssertion = await this._getUnjournaledPrivateAssertion(
+                journalEntry,
+                options.content,
+            );
+        }
+
+        return this._executeCreateSteps(
+            journalEntry,
+            {
+                blockchain,
+                endpoint,
+                port,
+                authToken,
+                maxNumberOfRetries,
+                frequency,
+                operationTrackingArguments,
+                requestOptions,
+                strict: this.inputService.getStrict(options),
+            },
+            stepHooks,
+        );
+    }
+
+    async _getUnjournaledPrivateAssertion(journalEntry, content) {
+        if (content == null) {
+            throw new ValidationError(
+                `Private assertion of journal entry ${journalEntry.id} isn't journaled, pass the content of the asset in options.content.`,
+            );
+        }
+
+        const { privateAssertion, privateAssertionId } = await this._formatAssertions(
+            this._getJsonContent(content),
+        );
+        if (privateAssertionId !== journalEntry.privateAssertionId) {
+            throw new ValidationError(
+                `Private content doesn't match the private assertion ${journalEntry.privateAssertionId} of journal entry ${journalEntry.id}.`,
+            );
+        }
+
+        return privateAssertion;
+    }
+
+    /**
+     * Lists asset creations recorded in the publish journal that haven't been completed yet.
+     * @async
+     * @returns {Object[]} Journal entries with journalId, last completed step status, UAL if the asset was minted and timestamps.
+     */
+    async listJournal() {
+        const journalEntries = await this.publishJournal.list();
+
+        return journalEntries.map((journalEntry) => ({
+            journalId: journalEntry.id,
+            status: journalEntry.status,
+            UAL:
+                journalEntry.tokenId != null
+                    ? deriveUAL(
+                          journalEntry.blockchain.name,
+                          journalEntry.contentAssetStorageAddress,
+                          journalEntry.tokenId,
+                      )
+                    : null,
+            publicAssertionId: journalEntry.requestData.publicAssertionId,
+            createdAt: journalEntry.createdAt,
+            updatedAt: journalEntry.updatedAt,
+        }));
+    }
+
+    _getJsonContent(content) {
+        this.validationService.validateObjectType(content);
+
+        // for backwards compatibility
+        if (!content.public && !content.private) {
+            return { public: content };
+        }
+
+        return content;
+    }
+
+    async _formatAssertions(jsonContent) {
+        let privateAssertion;
+        let privateAssertionId;
+        if (jsonContent.private && !isEmptyObject(jsonContent.private)) {
+            privateAssertion = await formatAssertion(jsonContent.private);
+            privateAssertionId = calculateRoot(privateAssertion);
+        }
+        const publicGraph = {
+            '@graph': [
+                jsonContent.public && !isEmptyObject(jsonContent.public)
+                    ? jsonContent.public
+                    : null,
+                jsonContent.private && !isEmptyObject(jsonContent.private)
+                    ? {
+                          [PRIVATE_ASSERTION_PREDICATE]: privateAssertionId,
+                      }
+                    : null,
+            ],
+        };
+        const publicAssertion = await formatAssertion(publicGraph);
+        const publicAssertionId = calculateRoot(publicAssertion);
+
+        return { publicAssertion, publicAssertionId, privateAssertion, privateAssertionId };
+    }
+
+    /**
+     * Requests of a single operation, such as local store and publish, have to reach the same
+     * node when a node pool is configured.
+     */
+    _getOperationNodeApiService() {
+        return typeof this.nodeApiService.pin === 'function'
+            ? this.nodeApiService.pin()
+            : this.nodeApiService;
+    }
+
+    _throwIfOperationFailed(strict, operationResult, operation, operationId) {
+        if (!strict) return;
+
+        const error = getOperationError(operationResult, operation, operationId);
+        if (error) throw error;
+    }
+
+    _toErrorObject(error) {
+        return error instanceof DkgClientError
+            ? error.toErrorObject()
+            : new DkgClientError(error.message).toErrorObject();
+    }
+
+    /**
+     * Total fees are null when some of the transactions couldn't be simulated, for example when
+     * the allowance has to be increased first, rather than leaving their fees out of the total.
+     */
+    _getDryRunResult(transactions, data) {
+        const simulated = transactions.every((transaction) => transaction.simulated);
+        const sumOf = (key) =>
+            simulated
+                ? transactions
+                      .reduce((sum, transaction) => sum + BigInt(transaction[key]), 0n)
+                      .toString()
+                : null;
+
+        return {
+            ...data,
+            dryRun: true,
+            simulated,
+            transactions,
+            totalFee: sumOf('fee'),
+            totalMaxFee: sumOf('maxFee'),
+            operation: getOperationStatusObject({ status: 'COMPLETED' }, null),
+        };
+    }
+
+    _createJournalEntry(
+        blockchain,
+        contentAssetStorageAddress,
+        { publicAssertion, publicAssertionId, privateAssertion, privateAssertionId },
+        { epochsNum, hashFunctionId, scoreFunctionId, immutable },
+        tokenAmount,
+    ) {
+        return {
+            blockchain: { name: blockchain.name, hubContract: blockchain.hubContract },
             contentAssetStorageAddress,
-            tokenId,
             hashFunctionId,
-        );
+            requestData: {
+                publicAssertionId,
+                assertionSize: assertionMetadata.getAssertionSizeInBytes(publicAssertion),
+                triplesNumber: assertionMetadata.getAssertionTriplesNumber(publicAssertion),
+                chunksNumber: assertionMetadata.getAssertionChunksNumber(publicAssertion),
+                epochsNum,
+                tokenAmount,
+                scoreFunctionId: scoreFunctionId ?? 1,
+                immutable_: immutable,
+            },
+            publicAssertion,
+            privateAssertion,
+            privateAssertionId,
+            status: null,
+        };
+    }
 
-        operationResult = await this.nodeApiService.getOperationResult(
+    async _executeCreateSteps(journalEntry, createArguments, stepHooks) {
+        const {
+            blockchain,
             endpoint,
             port,
             authToken,
-            OPERATIONS.PUBLISH,
             maxNumberOfRetries,
             frequency,
-            operationId,
-        );
+            operationTrackingArguments,
+            requestOptions,
+            strict,
+        } = createArguments;
+        const {
+            id: journalId,
+            contentAssetStorageAddress,
+            hashFunctionId,
+            requestData,
+            publicAssertion,
+            privateAssertion,
+            privateAssertionId,
+        } = journalEntry;
+        const { publicAssertionId } = requestData;
+        const nodeApiService = this._getOperationNodeApiService();
+
+        const journalingHooks = {
+            afterHook: async (step) => {
+                await this.publishJournal.recordStep(journalId, step.status, step.data);
+                await stepHooks.afterHook(step);
+            },
+            transactionSentHook: (transaction) =>
+                this.publishJournal.recordTransaction(journalId, transaction),
+        };
+
+        try {
+            let { tokenId } = journalEntry;
+            if (
+                journalEntry.status == null ||
+                journalEntry.status === OPERATIONS_STEP_STATUS.DECREASE_ALLOWANCE_COMPLETED
+            ) {
+                tokenId = await this.blockchainService.createAsset(
+                    requestData,
+                    blockchain,
+                    journalingHooks,
+                );
+            } else if (
+                journalEntry.status === OPERATIONS_STEP_STATUS.INCREASE_ALLOWANCE_COMPLETED
+            ) {
+                tokenId = await this._resumeMint(journalEntry, blockchain, journalingHooks);
+                await journalingHooks.afterHook({
+                    status: OPERATIONS_STEP_STATUS.CREATE_ASSET_COMPLETED,
+                    data: { tokenId },
+                });
+            }
+
+            const resolvedUAL = {
+                blockchain: blockchain.name.startsWith('otp') ? 'otp' : blockchain.name,
+                contract: contentAssetStorageAddress,
+                tokenId,
+            };
+            const assertions = [
+                {
+                    ...resolvedUAL,
+                    assertionId: publicAssertionId,
+                    assertion: publicAssertion,
+                    storeType: STORE_TYPES.TRIPLE,
+                },
+            ];
+            if (privateAssertion?.length) {
+                assertions.push({
+                    ...resolvedUAL,
+                    assertionId: privateAssertionId,
+                    assertion: privateAssertion,
+                    storeType: STORE_TYPES.TRIPLE,
+                });
+            }
+            let operationId = await nodeApiService.localStore(
+                endpoint,
+                port,
+                authToken,
+                assertions,
+                requestOptions,
+            );
+            let operationResult = await this.operationTracker
+                .trackOperation(endpoint, port, authToken, OPERATIONS.LOCAL_STORE, operationId, {
+                    maxNumberOfRetries,
+                    frequency: DEFAULT_GET_LOCAL_STORE_RESULT_FREQUENCY,
+                    ...operationTrackingArguments,
+                })
+                .result();
+
+            const UAL = deriveUAL(
+                blockchain.name.startsWith('otp') ? 'otp' : blockchain.name,
+                contentAssetStorageAddress,
+                tokenId,
+            );
+
+            this._throwIfOperationFailed(
+                strict,
+                operationResult,
+                OPERATIONS.LOCAL_STORE,
+                operationId,
+            );
+            if (operationResult.status === OPERATION_STATUSES.FAILED) {
+                return {
+                    UAL,
+                    assertionId: publicAssertionId,
+                    operation: getOperationStatusObject(operationResult, operationId),
+                    ...(journalId && { journalId }),
+                };
+            }
+
+            operationId = await nodeApiService.publish(
+                endpoint,
+                port,
+                authToken,
+                publicAssertionId,
+                publicAssertion,
+                blockchain.name.startsWith('otp') ? 'otp' : blockchain.name,
+                contentAssetStorageAddress,
+                tokenId,
+                hashFunctionId,
+                requestOptions,
+            );
+
+            operationResult = await this.operationTracker
+                .trackOperation(endpoint, port, authToken, OPERATIONS.PUBLISH, operationId, {
+                    maxNumberOfRetries,
+                    frequency,
+                    ...operationTrackingArguments,
+                })
+                .result();
+
+            await stepHooks.afterHook({
+                status: OPERATIONS_STEP_STATUS.NETWORK_PUBLISH_COMPLETED,
+                data: {
+                    operationId,
+                    operationResult,
+                },
+            });
+
+            // failed publishes stay in the journal so that they can be resumed later
+            this._throwIfOperationFailed(strict, operationResult, OPERATIONS.PUBLISH, operationId);
+            const published = operationResult.status === OPERATION_STATUSES.COMPLETED;
+            if (published) {
+                await this.publishJournal.complete(journalId);
+            }
+
+            return {
+                UAL,
+                publicAssertionId,
+                operation: getOperationStatusObject(operationResult, operationId),
+                ...(journalId && !published && { journalId }),
+            };
+        } catch (error) {
+            if (journalId) {
+                // eslint-disable-next-line no-param-reassign
+                error.journalId = journalId;
+            }
+            throw error;
+        }
+    }
 
-        stepHooks.afterHook({
-            status: OPERATIONS_STEP_STATUS.CREATE_ASSET_COMPLETED,
-            data: {
-                operationId,
-                operationResult,
-            },
-        });
+    /**
+     * Mints the asset of a journal entry whose allowance was already increased. A mint sent
+     * before the process stopped is looked up instead of minting again, the allowance increase
+     * is reverted if minting fails.
+     */
+    async _resumeMint(journalEntry, blockchain, journalingHooks) {
+        if (journalEntry.transaction) {
+            const tokenId = await this.blockchainService.getMintedTokenId(
+                journalEntry.transaction,
+                blockchain,
+            );
+            if (tokenId != null) return tokenId;
+        }
 
-        return {
-            UAL,
-            publicAssertionId,
-            operation: getOperationStatusObject(operationResult, operationId),
-        };
+        try {
+            return await this.blockchainService.mintAsset(
+                journalEntry.requestData,
+                blockchain,
+                journalingHooks.transactionSentHook,
+            );
+        } catch (error) {
+            // entries journaled before increased amounts were recorded are left as they are
+            if (
+                BigInt(journalEntry.increasedAmount ?? 0) > 0n &&
+                !(error instanceof InsufficientAllowanceError)
+            ) {
+                await this.blockchainService.decreaseServiceAgreementV1Allowance(
+                    journalEntry.increasedAmount,
+                    blockchain,
+                );
+                await journalingHooks.afterHook({
+                    status: OPERATIONS_STEP_STATUS.DECREASE_ALLOWANCE_COMPLETED,
+                });
+            }
+            throw error;
+        }
     }
 
     /**
@@ -229,9 +833,14 @@ class AssetOperationsManager {
      * @param {string} UAL - The Universal Asset Locator
      * @param {Object} [options={}] - Optional parameters for the asset get operation.
      * @param {string} [options.state] - The state of the asset, "latest" or "finalized".
+     * @param {number} [options.stateIndex] - Index of a finalized state to retrieve instead, starting from 0.
+     * @param {string} [options.assertionId] - Assertion id of a finalized state to retrieve instead.
+     * @param {number} [options.atTimestamp] - Retrieve the state that was finalized at this unix timestamp (in seconds) instead.
+     * @param {number} [options.fromBlock] - First block searched for finalized states with atTimestamp, the mint block by default.
      * @param {string} [options.contentType] - The type of content to retrieve, either "public", "private" or "all".
      * @param {boolean} [options.validate] - Whether to validate the retrieved assertion.
      * @param {string} [options.outputFormat] - The format of the retrieved assertion output, either "n-quads" or "json-ld".
+     * @param {boolean} [options.strict] - Throw typed errors instead of returning error objects.
      * @returns {Object} - The result of the asset get operation.
      */
     async get(UAL, options = {}) {
@@ -247,7 +856,15 @@ class AssetOperationsManager {
             outputFormat,
             authToken,
             hashFunctionId,
+            stateIndex,
+            assertionId,
+            atTimestamp,
+            fromBlock,
         } = this.inputService.getAssetGetArguments(options);
+        const operationTrackingArguments = this.inputService.getOperationTrackingArguments(options);
+        const requestOptions = this.inputService.getRequestOptions(options);
+        const strict = this.inputService.getStrict(options);
+        const nodeApiService = this._getOperationNodeApiService();
 
         this.validationService.validateAssetGet(
             UAL,
@@ -262,54 +879,89 @@ class AssetOperationsManager {
             validate,
             outputFormat,
             authToken,
+            stateIndex,
+            assertionId,
+            atTimestamp,
+            fromBlock,
         );
 
         const { tokenId } = resolveUAL(UAL);
-        let hasPendingUpdate = false;
-        if (state === ASSET_STATES.LATEST) {
-            hasPendingUpdate = await this.blockchainService.hasPendingUpdate(tokenId, blockchain);
-        }
+        let publicAssertionId;
+        let historicalState = null;
+        if (stateIndex != null || assertionId != null || atTimestamp != null) {
+            historicalState = await this._resolveHistoricalState(
+                UAL,
+                { stateIndex, assertionId, atTimestamp, fromBlock },
+                blockchain,
+            );
+            publicAssertionId = historicalState.assertionId;
+        } else {
+            let hasPendingUpdate = false;
+            if (state === ASSET_STATES.LATEST) {
+                hasPendingUpdate = await this.blockchainService.hasPendingUpdate(
+                    tokenId,
+                    blockchain,
+                );
+            }
 
-        const publicAssertionId = hasPendingUpdate
-            ? await this.blockchainService.getUnfinalizedState(tokenId, blockchain)
-            : await this.blockchainService.getLatestAssertionId(tokenId, blockchain);
+            publicAssertionId = hasPendingUpdate
+                ? await this.blockchainService.getUnfinalizedState(tokenId, blockchain)
+                : await this.blockchainService.getLatestAssertionId(tokenId, blockchain);
+        }
 
-        const getPublicOperationId = await this.nodeApiService.get(
+        // the node resolves a specific state when its assertion id is passed as state
+        const getPublicOperationId = await nodeApiService.get(
             endpoint,
             port,
             authToken,
             UAL,
-            state,
+            historicalState ? publicAssertionId : state,
             hashFunctionId,
+            requestOptions,
         );
 
-        const getPublicOperationResult = await this.nodeApiService.getOperationResult(
-            endpoint,
-            port,
-            authToken,
+        const getPublicOperationResult = await this.operationTracker
+            .trackOperation(endpoint, port, authToken, OPERATIONS.GET, getPublicOperationId, {
+                maxNumberOfRetries,
+                frequency,
+                ...operationTrackingArguments,
+            })
+            .result();
+
+        this._throwIfOperationFailed(
+            strict,
+            getPublicOperationResult,
             OPERATIONS.GET,
-            maxNumberOfRetries,
-            frequency,
             getPublicOperationId,
         );
 
-        if(!getPublicOperationResult.data.assertion) {
-            return {
-                errorType: 'DKG_CLIENT_ERROR',
-                errorMessage: "Unable to find assertion on the network!",
-            };
+        if (!getPublicOperationResult.data.assertion) {
+            const error = new OperationFailedError('Unable to find assertion on the network!', {
+                operation: OPERATIONS.GET,
+                operationId: getPublicOperationId,
+            });
+            if (strict) throw error;
+            return error.toErrorObject();
         }
 
         const publicAssertion = getPublicOperationResult.data.assertion;
 
-        if (validate === true && calculateRoot(publicAssertion) !== publicAssertionId) {
-            getPublicOperationResult.data = {
-                errorType: 'DKG_CLIENT_ERROR',
-                errorMessage: "Calculated root hashes don't match!",
-            };
+        if (validate === true) {
+            const calculatedAssertionId = calculateRoot(publicAssertion);
+            if (calculatedAssertionId !== publicAssertionId) {
+                const error = new AssertionIntegrityError("Calculated root hashes don't match!", {
+                    expectedAssertionId: publicAssertionId,
+                    calculatedAssertionId,
+                });
+                if (strict) throw error;
+                getPublicOperationResult.data = error.toErrorObject();
+            }
         }
 
         let result = { operation: {} };
+        if (historicalState) {
+            result.stateIndex = historicalState.index;
+        }
         if (contentType !== CONTENT_TYPES.PRIVATE) {
             let formattedPublicAssertion = publicAssertion;
             try {
@@ -319,10 +971,8 @@ class AssetOperationsManager {
                     formattedPublicAssertion = publicAssertion.join('\n');
                 }
             } catch (error) {
-                getPublicOperationResult.data = {
-                    errorType: 'DKG_CLIENT_ERROR',
-                    errorMessage: error.message,
-                };
+                if (strict) throw new DkgClientError(error.message, { cause: error });
+                getPublicOperationResult.data = new DkgClientError(error.message).toErrorObject();
             }
 
             if (contentType === CONTENT_TYPES.PUBLIC) {
@@ -370,24 +1020,38 @@ class AssetOperationsManager {
 
                     const repository = deriveRepository(
                         DEFAULT_PARAMETERS.GRAPH_LOCATION,
-                        DEFAULT_PARAMETERS.GRAPH_STATE,
+                        historicalState?.historical
+                            ? GRAPH_STATES.HISTORICAL
+                            : DEFAULT_PARAMETERS.GRAPH_STATE,
                     );
-                    queryPrivateOperationId = await this.nodeApiService.query(
+                    queryPrivateOperationId = await nodeApiService.query(
                         endpoint,
                         port,
                         authToken,
                         queryString,
                         QUERY_TYPES.CONSTRUCT,
-                        repository
+                        repository,
+                        requestOptions,
                     );
 
-                    queryPrivateOperationResult = await this.nodeApiService.getOperationResult(
-                        endpoint,
-                        port,
-                        authToken,
+                    queryPrivateOperationResult = await this.operationTracker
+                        .trackOperation(
+                            endpoint,
+                            port,
+                            authToken,
+                            OPERATIONS.QUERY,
+                            queryPrivateOperationId,
+                            {
+                                maxNumberOfRetries,
+                                frequency,
+                                ...operationTrackingArguments,
+                            },
+                        )
+                        .result();
+                    this._throwIfOperationFailed(
+                        strict,
+                        queryPrivateOperationResult,
                         OPERATIONS.QUERY,
-                        maxNumberOfRetries,
-                        frequency,
                         queryPrivateOperationId,
                     );
 
@@ -400,15 +1064,16 @@ class AssetOperationsManager {
                 }
 
                 let formattedPrivateAssertion;
-                if (
-                    privateAssertion.length &&
-                    validate === true &&
-                    calculateRoot(privateAssertion) !== privateAssertionId
-                ) {
-                    queryPrivateOperationResult.data = {
-                        errorType: 'DKG_CLIENT_ERROR',
-                        errorMessage: "Calculated root hashes don't match!",
-                    };
+                if (privateAssertion.length && validate === true) {
+                    const calculatedAssertionId = calculateRoot(privateAssertion);
+                    if (calculatedAssertionId !== privateAssertionId) {
+                        const error = new AssertionIntegrityError(
+                            "Calculated root hashes don't match!",
+                            { expectedAssertionId: privateAssertionId, calculatedAssertionId },
+                        );
+                        if (strict) throw error;
+                        queryPrivateOperationResult.data = error.toErrorObject();
+                    }
                 }
 
                 try {
@@ -418,10 +1083,10 @@ class AssetOperationsManager {
                         formattedPrivateAssertion = privateAssertion.join('\n');
                     }
                 } catch (error) {
-                    queryPrivateOperationResult.data = {
-                        errorType: 'DKG_CLIENT_ERROR',
-                        errorMessage: error.message,
-                    };
+                    if (strict) throw new DkgClientError(error.message, { cause: error });
+                    queryPrivateOperationResult.data = new DkgClientError(
+                        error.message,
+                    ).toErrorObject();
                 }
 
                 if (contentType === CONTENT_TYPES.PRIVATE) {
@@ -448,13 +1113,246 @@ class AssetOperationsManager {
         return result;
     }
 
+    /**
+     * Updates an asset by adding and removing quads from its latest finalized state.
+     * Both assertions and the link to the private assertion are rebuilt and sent through the
+     * same path as update.
+     * @async
+     * @param {string} UAL - The Universal Asset Locator
+     * @param {Object} patch - Quads to add and remove, as n-quads or JSON-LD without blank nodes.
+     * @param {Object|string|string[]} [patch.add] - Quads to add, either public and private keys or public content only.
+     * @param {Object|string|string[]} [patch.remove] - Quads to remove, in the same format as patch.add.
+     * @param {Object} [options={}] - Additional options for asset update.
+     * @returns {Object} Object containing UAL, publicAssertionId and operation status, or the cost breakdown for a dry run.
+     */
+    async patch(UAL, patch, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+
+        this.validationService.validateAssetPatch(UAL, patch, blockchain);
+
+        const { tokenId } = resolveUAL(UAL);
+        const [mutable, hasPendingUpdate] = await Promise.all([
+            this.blockchainService.isAssetMutable(tokenId, blockchain),
+            this.blockchainService.hasPendingUpdate(tokenId, blockchain),
+        ]);
+        if (!mutable) throw new ValidationError(`Asset ${UAL} is immutable and can't be patched.`);
+        if (hasPendingUpdate) {
+            throw new ValidationError(
+                `Asset ${UAL} already has a pending update, wait for its finalization.`,
+            );
+        }
+
+        const current = await this.get(UAL, {
+            ...options,
+            state: ASSET_STATES.FINALIZED,
+            contentType: CONTENT_TYPES.ALL,
+            outputFormat: GET_OUTPUT_FORMATS.N_QUADS,
+            strict: true,
+        });
+
+        const [publicQuads, privateQuads, add, remove] = await Promise.all([
+            toNQuads(current.public.assertion, 'application/n-quads'),
+            current.private?.assertion
+                ? toNQuads(current.private.assertion, 'application/n-quads')
+                : [],
+            this._getPatchQuads(patch.add),
+            this._getPatchQuads(patch.remove),
+        ]);
+        // updating without the private assertion would drop it together with its link
+        if (
+            !privateQuads.length &&
+            publicQuads.some((quad) => quad.includes(PRIVATE_ASSERTION_PREDICATE))
+        ) {
+            throw new ValidationError(
+                `Unable to retrieve the private assertion of asset ${UAL}, it can't be patched.`,
+            );
+        }
+
+        const applyPatch = (quads, added, removed, contentType) => {
+            const quadsSet = new Set(quads);
+            removed.forEach((quad) => {
+                if (!quadsSet.has(quad)) {
+                    throw new ValidationError(
+                        `Quad to remove isn't in the ${contentType} assertion: ${quad}`,
+                    );
+                }
+                quadsSet.delete(quad);
+            });
+            added.forEach((quad) => quadsSet.add(quad));
+
+            return [...quadsSet];
+        };
+        const toContent = async (quads) => (quads.length ? toJSONLD(quads.join('\n')) : null);
+
+        // the link triple is recalculated from the patched private assertion
+        const content = {
+            public: await toContent(
+                applyPatch(
+                    publicQuads.filter((quad) => !quad.includes(PRIVATE_ASSERTION_PREDICATE)),
+                    add.public,
+                    remove.public,
+                    CONTENT_TYPES.PUBLIC,
+                ),
+            ),
+            private: await toContent(
+                applyPatch(privateQuads, add.private, remove.private, CONTENT_TYPES.PRIVATE),
+            ),
+        };
+        if (!content.public && !content.private) {
+            throw new ValidationError(`Patch would remove all content of asset ${UAL}.`);
+        }
+
+        return this.update(
+            UAL,
+            Object.fromEntries(Object.entries(content).filter(([, value]) => value)),
+            options,
+        );
+    }
+
+    /**
+     * Builds a Merkle inclusion proof of a quad in an assertion of an asset.
+     * @async
+     * @param {string} UAL - The Universal Asset Locator
+     * @param {string|number} quad - The quad, as in the canonicalized assertion, or its chunk index.
+     * @param {Object} [options={}] - Optional parameters for the asset get operation, contentType is either "public" or "private".
+     * @returns {Object} Object containing UAL, assertionId, quad, its index and the proof.
+     */
+    async proveTriple(UAL, quad, options = {}) {
+        const contentType = this.inputService.getContentType(options);
+
+        this.validationService.validateAssetProveTriple(UAL, quad, contentType);
+
+        const result = await this.get(UAL, {
+            ...options,
+            outputFormat: GET_OUTPUT_FORMATS.N_QUADS,
+            validate: true,
+            strict: true,
+        });
+        if (!result.assertion) {
+            throw new ValidationError(`Asset ${UAL} doesn't have a ${contentType} assertion.`);
+        }
+
+        // chunks are hashed in sorted order
+        const assertion = result.assertion.split('\n').sort();
+        const index = typeof quad === 'number' ? quad : assertion.indexOf(quad.trim());
+        if (index < 0 || index >= assertion.length) {
+            throw new ValidationError(
+                `Quad isn't part of assertion ${result.assertionId}: ${quad}`,
+            );
+        }
+        const { proof } = getMerkleProof(assertion, index);
+
+        return {
+            UAL,
+            assertionId: result.assertionId,
+            quad: assertion[index],
+            index,
+            proof,
+        };
+    }
+
+    /**
+     * Verifies a Merkle inclusion proof of a quad without fetching the assertion.
+     * @param {string} assertionId - The assertion id, as committed on chain.
+     * @param {string} quad - The proven quad.
+     * @param {Object} proof - The proof returned by proveTriple, containing index and proof.
+     * @returns {boolean} Whether the quad is part of the assertion.
+     */
+    verifyProof(assertionId, quad, proof) {
+        this.validationService.validateProof(assertionId, quad, proof);
+
+        return verifyMerkleProof(assertionId, quad.trim(), proof);
+    }
+
+    /**
+     * Compares two states of an asset. Fails if a private assertion linked from one of the
+     * states can't be retrieved, rather than reporting all of its quads as changed.
+     * @async
+     * @param {string} UAL - The Universal Asset Locator
+     * @param {number|string|Object} fromState - State index, assertion id, asset state ("latest" or "finalized") or get options selecting the state to compare from.
+     * @param {number|string|Object} toState - State to compare to, in the same format as fromState.
+     * @param {Object} [options={}] - Optional parameters for the asset get operations, contentType "all" diffs public and private assertions separately.
+     * @returns {Object} Added and removed quads as n-quads, a JSON-LD patch grouped by subject and a summary.
+     */
+    async diff(UAL, fromState, toState, options = {}) {
+        const contentType = this.inputService.getContentType(options);
+        this.validationService.validateAssetDiff(UAL, fromState, toState, contentType);
+
+        const getState = (state) =>
+            this.get(UAL, {
+                ...options,
+                ...this._getDiffStateOptions(state),
+                contentType: CONTENT_TYPES.ALL,
+                outputFormat: GET_OUTPUT_FORMATS.N_QUADS,
+                strict: true,
+            });
+        const [from, to] = await Promise.all([getState(fromState), getState(toState)]);
+
+        const result = {
+            UAL,
+            from: { stateIndex: from.stateIndex, assertionId: from.public.assertionId },
+            to: { stateIndex: to.stateIndex, assertionId: to.public.assertionId },
+        };
+
+        if (contentType !== CONTENT_TYPES.PRIVATE) {
+            const isPrivateLink = (quad) => quad.includes(PRIVATE_ASSERTION_PREDICATE);
+            const [fromQuads, toQuads] = await Promise.all([
+                toNQuads(from.public.assertion, 'application/n-quads'),
+                toNQuads(to.public.assertion, 'application/n-quads'),
+            ]);
+            // the link to the private assertion changes with every private change, it's reported on its own
+            const publicDiff = await this._formatDiff(
+                diffNQuads(
+                    fromQuads.filter((quad) => !isPrivateLink(quad)),
+                    toQuads.filter((quad) => !isPrivateLink(quad)),
+                ),
+            );
+            const getPrivateAssertionId = (quads) =>
+                quads.find(isPrivateLink)?.match(/"(.*?)"/)[1] ?? null;
+            publicDiff.privateAssertion = {
+                from: getPrivateAssertionId(fromQuads),
+                to: getPrivateAssertionId(toQuads),
+            };
+            publicDiff.privateAssertion.changed =
+                publicDiff.privateAssertion.from !== publicDiff.privateAssertion.to;
+
+            if (contentType === CONTENT_TYPES.PUBLIC) return { ...result, ...publicDiff };
+            result.public = publicDiff;
+        }
+
+        // a linked private assertion the node didn't return would show up as removed or added
+        [from, to].forEach((state) => {
+            if (state.private?.assertionId && !state.private.assertion) {
+                throw new OperationFailedError(
+                    `Unable to retrieve private assertion ${state.private.assertionId} of asset ${UAL}.`,
+                    {
+                        operation: OPERATIONS.QUERY,
+                        operationId: state.operation.queryPrivate?.operationId,
+                    },
+                );
+            }
+        });
+        const [fromQuads, toQuads] = await Promise.all([
+            from.private?.assertion ? toNQuads(from.private.assertion, 'application/n-quads') : [],
+            to.private?.assertion ? toNQuads(to.private.assertion, 'application/n-quads') : [],
+        ]);
+        const privateDiff = await this._formatDiff(diffNQuads(fromQuads, toQuads));
+
+        if (contentType === CONTENT_TYPES.PRIVATE) return { ...result, ...privateDiff };
+        result.private = privateDiff;
+
+        return result;
+    }
+
     /**
      * Updates an existing asset.
      * @async
      * @param {string} UAL - The Universal Asset Locator
      * @param {Object} content - The content of the asset to be updated.
      * @param {Object} [options={}] - Additional options for asset update.
-     * @returns {Object} Object containing UAL, publicAssertionId and operation status.
+     * @param {boolean} [options.dryRun] - Estimate the costs of asset update without sending any transaction.
+     * @param {boolean} [options.strict] - Throw typed errors instead of returning results of failed operations.
+     * @returns {Object} Object containing UAL, publicAssertionId and operation status, or the cost breakdown for a dry run.
      */
     async update(UAL, content, options = {}) {
         this.validationService.validateObjectType(content);
@@ -470,7 +1368,12 @@ class AssetOperationsManager {
             scoreFunctionId,
             tokenAmount,
             authToken,
+            dryRun,
         } = this.inputService.getAssetUpdateArguments(options);
+        const operationTrackingArguments = this.inputService.getOperationTrackingArguments(options);
+        const requestOptions = this.inputService.getRequestOptions(options);
+        const strict = this.inputService.getStrict(options);
+        const nodeApiService = this._getOperationNodeApiService();
 
         this.validationService.validateAssetUpdate(
             jsonContent,
@@ -483,30 +1386,13 @@ class AssetOperationsManager {
             scoreFunctionId,
             tokenAmount,
             authToken,
+            dryRun,
         );
 
         const { tokenId } = resolveUAL(UAL);
 
-        let privateAssertion;
-        let privateAssertionId;
-        if (jsonContent.private && !isEmptyObject(jsonContent.private)) {
-            privateAssertion = await formatAssertion(jsonContent.private);
-            privateAssertionId = calculateRoot(privateAssertion);
-        }
-        const publicGraph = {
-            '@graph': [
-                jsonContent.public && !isEmptyObject(jsonContent.public)
-                    ? jsonContent.public
-                    : null,
-                jsonContent.private && !isEmptyObject(jsonContent.private)
-                    ? {
-                          [PRIVATE_ASSERTION_PREDICATE]: privateAssertionId,
-                      }
-                    : null,
-            ],
-        };
-        const publicAssertion = await formatAssertion(publicGraph);
-        const publicAssertionId = calculateRoot(publicAssertion);
+        const { publicAssertion, publicAssertionId, privateAssertion, privateAssertionId } =
+            await this._formatAssertions(jsonContent);
 
         const contentAssetStorageAddress = await this.blockchainService.getContractAddress(
             'ContentAssetStorage',
@@ -527,15 +1413,42 @@ class AssetOperationsManager {
                 publicAssertionId,
                 assertionMetadata.getAssertionSizeInBytes(publicAssertion),
                 hashFunctionId,
+                requestOptions,
+            );
+        }
+
+        const assertionSize = assertionMetadata.getAssertionSizeInBytes(publicAssertion);
+        const triplesNumber = assertionMetadata.getAssertionTriplesNumber(publicAssertion);
+        const chunksNumber = assertionMetadata.getAssertionChunksNumber(publicAssertion);
+
+        if (dryRun) {
+            return this._getDryRunResult(
+                await this.blockchainService.estimateUpdateAsset(
+                    tokenId,
+                    publicAssertionId,
+                    assertionSize,
+                    triplesNumber,
+                    chunksNumber,
+                    tokenAmountInWei,
+                    blockchain,
+                ),
+                {
+                    UAL,
+                    publicAssertionId,
+                    assertionSize,
+                    triplesNumber,
+                    chunksNumber,
+                    tokenAmount: tokenAmountInWei.toString(),
+                },
             );
         }
 
         await this.blockchainService.updateAsset(
             tokenId,
             publicAssertionId,
-            assertionMetadata.getAssertionSizeInBytes(publicAssertion),
-            assertionMetadata.getAssertionTriplesNumber(publicAssertion),
-            assertionMetadata.getAssertionChunksNumber(publicAssertion),
+            assertionSize,
+            triplesNumber,
+            chunksNumber,
             tokenAmountInWei,
             blockchain,
         );
@@ -564,23 +1477,23 @@ class AssetOperationsManager {
             });
         }
 
-        let operationId = await this.nodeApiService.localStore(
+        let operationId = await nodeApiService.localStore(
             endpoint,
             port,
             authToken,
             assertions,
+            requestOptions,
         );
 
-        let operationResult = await this.nodeApiService.getOperationResult(
-            endpoint,
-            port,
-            authToken,
-            OPERATIONS.LOCAL_STORE,
-            maxNumberOfRetries,
-            DEFAULT_GET_LOCAL_STORE_RESULT_FREQUENCY,
-            operationId,
-        );
+        let operationResult = await this.operationTracker
+            .trackOperation(endpoint, port, authToken, OPERATIONS.LOCAL_STORE, operationId, {
+                maxNumberOfRetries,
+                frequency: DEFAULT_GET_LOCAL_STORE_RESULT_FREQUENCY,
+                ...operationTrackingArguments,
+            })
+            .result();
 
+        this._throwIfOperationFailed(strict, operationResult, OPERATIONS.LOCAL_STORE, operationId);
         if (operationResult.status === OPERATION_STATUSES.FAILED) {
             return {
                 UAL,
@@ -589,7 +1502,7 @@ class AssetOperationsManager {
             };
         }
 
-        operationId = await this.nodeApiService.update(
+        operationId = await nodeApiService.update(
             endpoint,
             port,
             authToken,
@@ -599,16 +1512,17 @@ class AssetOperationsManager {
             contentAssetStorageAddress,
             tokenId,
             hashFunctionId,
+            requestOptions,
         );
-        operationResult = await this.nodeApiService.getOperationResult(
-            endpoint,
-            port,
-            authToken,
-            OPERATIONS.UPDATE,
-            maxNumberOfRetries,
-            frequency,
-            operationId,
-        );
+        operationResult = await this.operationTracker
+            .trackOperation(endpoint, port, authToken, OPERATIONS.UPDATE, operationId, {
+                maxNumberOfRetries,
+                frequency,
+                ...operationTrackingArguments,
+            })
+            .result();
+        this._throwIfOperationFailed(strict, operationResult, OPERATIONS.UPDATE, operationId);
+
         return {
             UAL,
             operation: getOperationStatusObject(operationResult, operationId),
@@ -623,40 +1537,25 @@ class AssetOperationsManager {
         this.validationService.validateWaitAssetUpdateFinalization(UAL, blockchain);
 
         const { tokenId } = resolveUAL(UAL);
-        const response = {
-            status: OPERATION_STATUSES.PENDING,
-        };
-        let pendingUpdate = true;
-        let retries = 0;
-        do {
-            if (retries > maxNumberOfRetries) {
-                response.data = {
-                    ...response.data,
-                    data: {
-                        errorType: 'DKG_CLIENT_ERROR',
-                        errorMessage: 'Unable to get results. Max number of retries reached.',
-                    },
-                };
-                break;
-            }
-            retries += 1;
-            // eslint-disable-next-line no-await-in-loop
-            await sleepForMilliseconds(frequency * 1000);
-            // eslint-disable-next-line no-await-in-loop
-            pendingUpdate = await this.blockchainService.hasPendingUpdate(tokenId, blockchain);
-        } while (pendingUpdate);
-        if (pendingUpdate) {
-            response.status = OPERATION_STATUSES.PENDING;
-        } else {
-            response.status = OPERATION_STATUSES.COMPLETED;
-        }
+        const response = await this.operationTracker
+            .track(
+                async () => ({
+                    status: (await this.blockchainService.hasPendingUpdate(tokenId, blockchain))
+                        ? OPERATION_STATUSES.PENDING
+                        : OPERATION_STATUSES.COMPLETED,
+                }),
+                {
+                    maxNumberOfRetries,
+                    frequency,
+                    ...this.inputService.getOperationTrackingArguments(options),
+                },
+            )
+            .result();
+        this._throwIfOperationFailed(this.inputService.getStrict(options), response, null, null);
 
         return {
             UAL,
-            operation: getOperationStatusObject(
-                { data: response.data, status: response.status },
-                null,
-            ),
+            operation: getOperationStatusObject(response, null),
         };
     }
 
@@ -665,55 +1564,216 @@ class AssetOperationsManager {
 
         this.validationService.validateAssetUpdateCancel(UAL, blockchain);
 
-        const { tokenId } = resolveUAL(UAL);
-        await this.blockchainService.cancelAssetUpdate(tokenId, blockchain);
+        const { tokenId } = resolveUAL(UAL);
+        await this.blockchainService.cancelAssetUpdate(tokenId, blockchain);
+
+        return {
+            UAL,
+            operation: getOperationStatusObject({ status: 'COMPLETED' }, null),
+        };
+    }
+
+    /**
+     * Transfer an asset to a new owner on a specified blockchain.
+     * @async
+     * @param {string} UAL - The Universal Asset Locator of the asset to be transferred.
+     * @param {string} newOwner - The address of the new owner.
+     * @param {Object} [options={}] - Additional options for asset transfer.
+     * @param {boolean} [options.dryRun] - Estimate the costs of asset transfer without sending any transaction.
+     * @returns {Object} Object containing UAL, owner's address and operation status, or the cost breakdown for a dry run.
+     */
+    async transfer(UAL, newOwner, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+        const dryRun = this.inputService.getDryRun(options);
+
+        this.validationService.validateAssetTransfer(UAL, newOwner, blockchain, dryRun);
+
+        const { tokenId } = resolveUAL(UAL);
+        if (dryRun) {
+            return this._getDryRunResult(
+                await this.blockchainService.estimateTransferAsset(tokenId, newOwner, blockchain),
+                { UAL, newOwner },
+            );
+        }
+
+        await this.blockchainService.transferAsset(tokenId, newOwner, blockchain);
+        const owner = await this.blockchainService.getAssetOwner(tokenId, blockchain);
+        return {
+            UAL,
+            owner,
+            operation: getOperationStatusObject({ status: 'COMPLETED' }, null),
+        };
+    }
+
+    /**
+     * Retrieves the owner of a specified asset for a given blockchain.
+     * @async
+     * @param {string} UAL - The Universal Asset Locator of the asset.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Object} An object containing the UAL, owner and operation status.
+     */
+    async getOwner(UAL, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+
+        this.validationService.validateAssetGetOwner(UAL, blockchain);
+
+        const { tokenId } = resolveUAL(UAL);
+        const owner = await this.blockchainService.getAssetOwner(tokenId, blockchain);
+        return {
+            UAL,
+            owner,
+            operation: getOperationStatusObject({ data: {}, status: 'COMPLETED' }, null),
+        };
+    }
+
+    /**
+     * Lists the assets held by an address. When the asset contract is ERC721Enumerable the assets
+     * are read from it, otherwise Transfer events are scanned and the result is checkpointed at
+     * the latest confirmed block, so that next calls only scan newer blocks.
+     * @async
+     * @param {string} owner - Address of the owner.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @param {number} [options.fromBlock=0] - First block of the scan, e.g. deployment block of the asset contract.
+     * @param {boolean} [options.enrich=false] - Add the latest assertion id and expiry of every asset.
+     * @returns {Object[]} UALs and token ids of the assets, ordered by token id.
+     */
+    async listOwned(owner, options = {}) {
+        const { blockchain, fromBlock, confirmations, enrich, concurrency } =
+            this.inputService.getAssetListOwnedArguments(options);
+
+        this.validationService.validateAssetListOwned(
+            owner,
+            blockchain,
+            fromBlock,
+            confirmations,
+            enrich,
+            concurrency,
+        );
+
+        const tokenIds = (await this.blockchainService.isAssetStorageEnumerable(blockchain))
+            ? await this._getEnumeratedAssets(owner, concurrency, blockchain)
+            : await this._scanOwnedAssets(owner, fromBlock ?? 0, confirmations, blockchain);
+        const contract = await this.blockchainService.getContractAddress(
+            'ContentAssetStorage',
+            blockchain,
+        );
+        const assets = tokenIds.map((tokenId) => ({
+            UAL: deriveUAL(blockchain.name, contract, tokenId),
+            tokenId,
+        }));
+
+        if (!enrich) return assets;
+
+        const now = await this.blockchainService.getBlockchainTimestamp(blockchain);
+
+        return mapWithConcurrency(assets, concurrency, async (asset) => {
+            const [latestAssertionId, agreementId] = await Promise.all([
+                this.blockchainService.getLatestAssertionId(asset.tokenId, blockchain),
+                this.blockchainService.getAgreementId(contract, asset.tokenId, blockchain),
+            ]);
+            const agreementData = await this.blockchainService.getAgreementData(
+                agreementId,
+                blockchain,
+            );
+            const { expiryTime, expired } = getAgreementEpochs(agreementData, now);
 
-        return {
-            UAL,
-            operation: getOperationStatusObject({ status: 'COMPLETED' }, null),
-        };
+            return { ...asset, latestAssertionId, expiryTime, expired };
+        });
     }
 
     /**
-     * Transfer an asset to a new owner on a specified blockchain.
+     * Retrieves the current lifecycle state of a specified asset.
      * @async
-     * @param {string} UAL - The Universal Asset Locator of the asset to be transferred.
-     * @param {string} newOwner - The address of the new owner.
-     * @param {Object} [options={}] - Additional options for asset transfer.
-     * @returns {Object} Object containing UAL, owner's address and operation status.
+     * @param {string} UAL - The Universal Asset Locator of the asset.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Object} An object containing the UAL, owner, mutability, assertion history, pending update, service agreement (null if the asset has no assertions) and operation status.
      */
-    async transfer(UAL, newOwner, options = {}) {
+    async getInfo(UAL, options = {}) {
         const blockchain = this.inputService.getBlockchain(options);
 
-        this.validationService.validateAssetTransfer(UAL, newOwner, blockchain);
+        this.validationService.validateAssetGetInfo(UAL, blockchain);
+
+        const { contract, tokenId } = resolveUAL(UAL);
+        const [owner, mutable, assertionIdsLength, latestAssertionId, unfinalizedState] =
+            await Promise.all([
+                this.blockchainService.getAssetOwner(tokenId, blockchain),
+                this.blockchainService.isAssetMutable(tokenId, blockchain),
+                this.blockchainService.getAssertionIdsLength(tokenId, blockchain),
+                this.blockchainService.getLatestAssertionId(tokenId, blockchain),
+                this.blockchainService.getUnfinalizedState(tokenId, blockchain),
+            ]);
+        const unfinalizedAssertionId =
+            unfinalizedState !== ethers.ZeroHash ? unfinalizedState : null;
+
+        const assertions = await this._getAssertions(tokenId, assertionIdsLength, blockchain);
+
+        let pendingUpdate = null;
+        if (unfinalizedAssertionId) {
+            pendingUpdate = {
+                assertionId: unfinalizedAssertionId,
+                size: await this.blockchainService.getAssertionSize(
+                    unfinalizedAssertionId,
+                    blockchain,
+                ),
+            };
+        }
+
+        // the agreement is derived from the first assertion, there is none to look up without it
+        let serviceAgreement = null;
+        if (assertions.length) {
+            const agreementId = await this.blockchainService.getAgreementId(
+                contract,
+                tokenId,
+                blockchain,
+                assertions[0].assertionId,
+            );
+            const agreementData = await this.blockchainService.getAgreementData(
+                agreementId,
+                blockchain,
+            );
+            const now = await this.blockchainService.getBlockchainTimestamp(blockchain);
+            serviceAgreement = {
+                agreementId,
+                ...agreementData,
+                ...getAgreementEpochs(agreementData, now),
+            };
+        }
 
-        const { tokenId } = resolveUAL(UAL);
-        await this.blockchainService.transferAsset(tokenId, newOwner, blockchain);
-        const owner = await this.blockchainService.getAssetOwner(tokenId, blockchain);
         return {
             UAL,
             owner,
-            operation: getOperationStatusObject({ status: 'COMPLETED' }, null),
+            immutable: !mutable,
+            latestAssertionId,
+            unfinalizedAssertionId,
+            hasPendingUpdate: unfinalizedAssertionId != null,
+            pendingUpdate,
+            assertions,
+            serviceAgreement,
+            operation: getOperationStatusObject({ data: {}, status: 'COMPLETED' }, null),
         };
     }
 
     /**
-     * Retrieves the owner of a specified asset for a given blockchain.
+     * Retrieves every finalized state of a specified asset. Block, transaction and timestamp of a
+     * state are read from AssetMinted and StateFinalized events of the current ContentAsset and
+     * CommitManagerV1U1 contracts, they are null for states set by versions of the contracts that
+     * were since replaced in the Hub. StateFinalized events are read from the mint block on, pass
+     * fromBlock for assets minted by a replaced ContentAsset contract.
      * @async
      * @param {string} UAL - The Universal Asset Locator of the asset.
      * @param {Object} [options={}] - Optional parameters for blockchain service.
-     * @returns {Object} An object containing the UAL, owner and operation status.
+     * @param {number} [options.fromBlock] - First block to read events from, the mint block by default.
+     * @returns {Object} An object containing the UAL, states ordered from the first to the latest and operation status.
      */
-    async getOwner(UAL, options = {}) {
+    async getHistory(UAL, options = {}) {
         const blockchain = this.inputService.getBlockchain(options);
+        const fromBlock = this.inputService.getFromBlock(options);
 
-        this.validationService.validateAssetGetOwner(UAL, blockchain);
+        this.validationService.validateAssetGetHistory(UAL, blockchain, fromBlock);
 
-        const { tokenId } = resolveUAL(UAL);
-        const owner = await this.blockchainService.getAssetOwner(tokenId, blockchain);
         return {
             UAL,
-            owner,
+            history: await this._getStateHistory(UAL, fromBlock, blockchain),
             operation: getOperationStatusObject({ data: {}, status: 'COMPLETED' }, null),
         };
     }
@@ -735,6 +1795,7 @@ class AssetOperationsManager {
     async extendStoringPeriod(UAL, epochsNumber, options = {}) {
         const blockchain = this.inputService.getBlockchain(options);
         const tokenAmount = this.inputService.getTokenAmount(options);
+        const dryRun = this.inputService.getDryRun(options);
 
         const { tokenId } = resolveUAL(UAL);
 
@@ -746,6 +1807,7 @@ class AssetOperationsManager {
             const endpoint = this.inputService.getEndpoint(options);
             const port = this.inputService.getPort(options);
             const authToken = this.inputService.getAuthToken(options);
+            const requestOptions = this.inputService.getRequestOptions(options);
             const hashFunctionId = this.inputService.getHashFunctionId(options);
 
             const latestFinalizedState = await this.blockchainService.getLatestAssertionId(
@@ -767,6 +1829,7 @@ class AssetOperationsManager {
                 latestFinalizedState,
                 latestFinalizedStateSize,
                 hashFunctionId,
+                requestOptions,
             );
 
             if (tokenAmountInWei < 0) {
@@ -779,8 +1842,21 @@ class AssetOperationsManager {
             epochsNumber,
             tokenAmountInWei,
             blockchain,
+            dryRun,
         );
 
+        if (dryRun) {
+            return this._getDryRunResult(
+                await this.blockchainService.estimateExtendAssetStoringPeriod(
+                    tokenId,
+                    epochsNumber,
+                    tokenAmountInWei,
+                    blockchain,
+                ),
+                { UAL, epochsNumber, tokenAmount: tokenAmountInWei.toString() },
+            );
+        }
+
         await this.blockchainService.extendAssetStoringPeriod(
             tokenId,
             epochsNumber,
@@ -794,9 +1870,170 @@ class AssetOperationsManager {
         };
     }
 
+    /**
+     * Finds the assets whose service agreements expire within the horizon and estimates the cost
+     * of extending them from bid suggestions. Assets are selected for renewal from the soonest
+     * expiring one until the budget is spent.
+     * @async
+     * @param {string[]} UALs - The Universal Asset Locators of the assets.
+     * @param {Object} [options={}] - Optional parameters for blockchain and node services.
+     * @param {number} [options.horizonEpochs] - Assets with at most this many epochs left, including the current one, are renewed.
+     * @param {number} [options.epochsNum] - Number of epochs to extend the assets by, horizonEpochs by default.
+     * @param {string|number|bigint} [options.budget] - Max amount of TRAC in wei spent on all renewals.
+     * @param {number} [options.concurrency] - Max number of assets checked at the same time.
+     * @returns {Object} The renewal plan, with status, epochs and cost of every asset in the same order as UALs.
+     */
+    async planRenewals(UALs, options = {}) {
+        const {
+            blockchain,
+            endpoint,
+            port,
+            authToken,
+            hashFunctionId,
+            horizonEpochs,
+            epochsNum,
+            budget,
+            concurrency,
+        } = this.inputService.getAssetPlanRenewalsArguments(options);
+        const requestOptions = this.inputService.getRequestOptions(options);
+
+        this.validationService.validateAssetPlanRenewals(
+            UALs,
+            blockchain,
+            endpoint,
+            port,
+            authToken,
+            hashFunctionId,
+            horizonEpochs,
+            epochsNum,
+            budget,
+            concurrency,
+        );
+
+        const epochsNumber = epochsNum ?? horizonEpochs;
+        const publicKey = await this.blockchainService.getPublicKey(blockchain);
+        const assets = await mapWithConcurrency(UALs, concurrency, async (UAL) => {
+            try {
+                return await this._planRenewal(UAL, {
+                    blockchain,
+                    endpoint,
+                    port,
+                    authToken,
+                    hashFunctionId,
+                    horizonEpochs,
+                    epochsNumber,
+                    publicKey,
+                    requestOptions,
+                });
+            } catch (error) {
+                return { UAL, status: RENEWAL_STATUSES.FAILED, ...this._toErrorObject(error) };
+            }
+        });
+
+        let totalTokenAmount = 0n;
+        assets
+            .filter((asset) => asset.status === RENEWAL_STATUSES.RENEW)
+            .sort((a, b) => a.expiryTime - b.expiryTime)
+            .forEach((asset) => {
+                if (
+                    budget != null &&
+                    totalTokenAmount + BigInt(asset.tokenAmount) > BigInt(budget)
+                ) {
+                    // eslint-disable-next-line no-param-reassign
+                    asset.status = RENEWAL_STATUSES.OVER_BUDGET;
+                    return;
+                }
+                totalTokenAmount += BigInt(asset.tokenAmount);
+            });
+
+        return {
+            horizonEpochs,
+            epochsNumber,
+            budget: budget != null ? budget.toString() : null,
+            totalTokenAmount: totalTokenAmount.toString(),
+            assets,
+        };
+    }
+
+    /**
+     * Extends the storing period of the assets selected for renewal in a plan. The allowance is
+     * increased once for all of them and the part of it not used by failed renewals is reverted.
+     * @async
+     * @param {Object} plan - The plan returned by planRenewals.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Object[]} Results of the renewed assets, with the transaction hash or errorType and errorMessage for failed ones.
+     */
+    async executeRenewals(plan, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+
+        this.validationService.validateAssetExecuteRenewals(plan, blockchain);
+
+        const renewals = plan.assets.filter((asset) => asset.status === RENEWAL_STATUSES.RENEW);
+        if (!renewals.length) return [];
+
+        const totalTokenAmount = renewals.reduce(
+            (sum, renewal) => sum + BigInt(renewal.tokenAmount),
+            0n,
+        );
+        const increasedAmount = BigInt(
+            await this.blockchainService.prepareServiceAgreementV1Allowance(
+                totalTokenAmount.toString(),
+                blockchain,
+            ),
+        );
+
+        // renewals are sent one by one, so that transactions from the same account never collide
+        const results = [];
+        let unusedTokenAmount = 0n;
+        for (const { UAL, epochsNumber, tokenAmount } of renewals) {
+            const { tokenId } = resolveUAL(UAL);
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                const receipt =
+                    await this.blockchainService.extendAssetStoringPeriodWithinAllowance(
+                        tokenId,
+                        epochsNumber,
+                        tokenAmount,
+                        blockchain,
+                    );
+                results.push({
+                    UAL,
+                    epochsNumber,
+                    tokenAmount,
+                    transactionHash: receipt.transactionHash,
+                    operation: getOperationStatusObject({ status: 'COMPLETED' }, null),
+                });
+            } catch (error) {
+                unusedTokenAmount += BigInt(tokenAmount);
+                results.push({ UAL, epochsNumber, tokenAmount, ...this._toErrorObject(error) });
+            }
+        }
+
+        // a reused allowance that existed before is left as it was
+        const decreasedAmount =
+            unusedTokenAmount < increasedAmount ? unusedTokenAmount : increasedAmount;
+        if (decreasedAmount > 0n) {
+            try {
+                await this.blockchainService.decreaseServiceAgreementV1Allowance(
+                    decreasedAmount.toString(),
+                    blockchain,
+                );
+            } catch (error) {
+                // the allowance stays available for the next renewals
+            }
+        }
+        await this.blockchainService.releaseServiceAgreementV1Allowance(
+            totalTokenAmount.toString(),
+            blockchain,
+        );
+
+        return results;
+    }
+
     async addTokens(UAL, options = {}) {
         const blockchain = this.inputService.getBlockchain(options);
         const tokenAmount = this.inputService.getTokenAmount(options);
+        const dryRun = this.inputService.getDryRun(options);
 
         const { tokenId } = resolveUAL(UAL);
 
@@ -808,6 +2045,7 @@ class AssetOperationsManager {
             const endpoint = this.inputService.getEndpoint(options);
             const port = this.inputService.getPort(options);
             const authToken = this.inputService.getAuthToken(options);
+            const requestOptions = this.inputService.getRequestOptions(options);
             const hashFunctionId = this.inputService.getHashFunctionId(options);
 
             const latestFinalizedState = await this.blockchainService.getLatestAssertionId(
@@ -829,16 +2067,28 @@ class AssetOperationsManager {
                 latestFinalizedState,
                 latestFinalizedStateSize,
                 hashFunctionId,
+                requestOptions,
             );
 
             if (tokenAmountInWei <= 0) {
-                throw Error(
+                throw new ValidationError(
                     `Token amount is bigger than default suggested amount, please specify exact tokenAmount if you still want to add more tokens!`,
                 );
             }
         }
 
-        this.validationService.validateAddTokens(UAL, tokenAmountInWei, blockchain);
+        this.validationService.validateAddTokens(UAL, tokenAmountInWei, blockchain, dryRun);
+
+        if (dryRun) {
+            return this._getDryRunResult(
+                await this.blockchainService.estimateAddTokens(
+                    tokenId,
+                    tokenAmountInWei,
+                    blockchain,
+                ),
+                { UAL, tokenAmount: tokenAmountInWei.toString() },
+            );
+        }
 
         await this.blockchainService.addTokens(tokenId, tokenAmountInWei, blockchain);
 
@@ -851,6 +2101,7 @@ class AssetOperationsManager {
     async addUpdateTokens(UAL, options = {}) {
         const blockchain = this.inputService.getBlockchain(options);
         const tokenAmount = this.inputService.getTokenAmount(options);
+        const dryRun = this.inputService.getDryRun(options);
 
         const { tokenId } = resolveUAL(UAL);
 
@@ -862,6 +2113,7 @@ class AssetOperationsManager {
             const endpoint = this.inputService.getEndpoint(options);
             const port = this.inputService.getPort(options);
             const authToken = this.inputService.getAuthToken(options);
+            const requestOptions = this.inputService.getRequestOptions(options);
             const hashFunctionId = this.inputService.getHashFunctionId(options);
 
             const unfinalizedState = await this.blockchainService.getUnfinalizedState(
@@ -883,15 +2135,27 @@ class AssetOperationsManager {
                 unfinalizedState,
                 unfinalizedStateSize,
                 hashFunctionId,
+                requestOptions,
             );
             if (tokenAmountInWei <= 0) {
-                throw Error(
+                throw new ValidationError(
                     `Token amount is bigger than default suggested amount, please specify exact tokenAmount if you still want to add more tokens!`,
                 );
             }
         }
 
-        this.validationService.validateAddTokens(UAL, tokenAmountInWei, blockchain);
+        this.validationService.validateAddTokens(UAL, tokenAmountInWei, blockchain, dryRun);
+
+        if (dryRun) {
+            return this._getDryRunResult(
+                await this.blockchainService.estimateAddUpdateTokens(
+                    tokenId,
+                    tokenAmountInWei,
+                    blockchain,
+                ),
+                { UAL, tokenAmount: tokenAmountInWei.toString() },
+            );
+        }
 
         await this.blockchainService.addUpdateTokens(tokenId, tokenAmountInWei, blockchain);
 
@@ -910,30 +2174,21 @@ class AssetOperationsManager {
         assertionId,
         size,
         hashFunctionId,
+        requestOptions,
     ) {
         const { contract, tokenId } = resolveUAL(UAL);
-        const firstAssertionId = await this.blockchainService.getAssertionIdByIndex(
+        const agreementId = await this.blockchainService.getAgreementId(
+            contract,
             tokenId,
-            0,
             blockchain,
         );
-
-        const keyword = ethers.solidityPacked(['address', 'bytes32'], [contract, firstAssertionId]);
-
-        const agreementId = ethers.sha256(
-            ethers.solidityPacked(['address', 'uint256', 'bytes'], [contract, tokenId, keyword]),
-        );
         const agreementData = await this.blockchainService.getAgreementData(
             agreementId,
             blockchain,
         );
 
         const now = await this.blockchainService.getBlockchainTimestamp(blockchain);
-        const currentEpoch = Math.floor(
-            (now - agreementData.startTime) / agreementData.epochLength,
-        );
-
-        const epochsLeft = agreementData.epochsNumber - currentEpoch;
+        const { epochsLeft } = getAgreementEpochs(agreementData, now);
 
         const bidSuggestion = await this.nodeApiService.getBidSuggestion(
             endpoint,
@@ -945,14 +2200,381 @@ class AssetOperationsManager {
             contract,
             assertionId,
             hashFunctionId,
+            requestOptions,
         );
 
-        const tokenAmountInWei =
-            BigInt(bidSuggestion) -
-            (BigInt(agreementData.tokenAmount) + BigInt(agreementData.updateTokenAmount ?? 0));
+        const tokenAmountInWei = BigInt(bidSuggestion) - BigInt(agreementData.tokenAmount);
 
         return tokenAmountInWei > 0 ? tokenAmountInWei : 0;
     }
+
+    async _planRenewal(
+        UAL,
+        {
+            blockchain,
+            endpoint,
+            port,
+            authToken,
+            hashFunctionId,
+            horizonEpochs,
+            epochsNumber,
+            publicKey,
+            requestOptions,
+        },
+    ) {
+        const { contract, tokenId } = resolveUAL(UAL);
+        const [owner, firstAssertionId, latestAssertionId, hasPendingUpdate] = await Promise.all([
+            this.blockchainService.getAssetOwner(tokenId, blockchain),
+            this.blockchainService.getAssertionIdByIndex(tokenId, 0, blockchain),
+            this.blockchainService.getLatestAssertionId(tokenId, blockchain),
+            this.blockchainService.hasPendingUpdate(tokenId, blockchain),
+        ]);
+        const agreementId = await this.blockchainService.getAgreementId(
+            contract,
+            tokenId,
+            blockchain,
+            firstAssertionId,
+        );
+        const [agreementData, now] = await Promise.all([
+            this.blockchainService.getAgreementData(agreementId, blockchain),
+            this.blockchainService.getBlockchainTimestamp(blockchain),
+        ]);
+        const { currentEpoch, epochsLeft, expiryTime, expired } = getAgreementEpochs(
+            agreementData,
+            now,
+        );
+        const renewal = { UAL, agreementId, currentEpoch, epochsLeft, expiryTime };
+
+        if (expired) return { ...renewal, status: RENEWAL_STATUSES.EXPIRED };
+        if (epochsLeft > horizonEpochs)
+            return { ...renewal, status: RENEWAL_STATUSES.NOT_EXPIRING };
+        if (owner.toLowerCase() !== publicKey.toLowerCase()) {
+            return { ...renewal, status: RENEWAL_STATUSES.NOT_OWNER };
+        }
+        if (hasPendingUpdate) return { ...renewal, status: RENEWAL_STATUSES.PENDING_UPDATE };
+
+        const bidSuggestion = await this.nodeApiService.getBidSuggestion(
+            endpoint,
+            port,
+            authToken,
+            blockchain.name.startsWith('otp') ? 'otp' : blockchain.name,
+            epochsNumber,
+            await this.blockchainService.getAssertionSize(latestAssertionId, blockchain),
+            contract,
+            firstAssertionId,
+            hashFunctionId,
+            requestOptions,
+        );
+
+        return {
+            ...renewal,
+            status: RENEWAL_STATUSES.RENEW,
+            epochsNumber,
+            tokenAmount: BigInt(bidSuggestion).toString(),
+        };
+    }
+
+    async _getEnumeratedAssets(owner, concurrency, blockchain) {
+        const balance = await this.blockchainService.getAssetBalance(owner, blockchain);
+        const tokenIds = await mapWithConcurrency(
+            Array.from({ length: balance }, (_, index) => index),
+            concurrency,
+            (index) => this.blockchainService.getAssetOfOwnerByIndex(owner, index, blockchain),
+        );
+
+        return tokenIds.sort((a, b) => a - b);
+    }
+
+    async _scanOwnedAssets(owner, fromBlock, confirmations, blockchain) {
+        const checkpointKey = `owned-assets:${blockchain.name}:${
+            blockchain.hubContract
+        }:${owner.toLowerCase()}:${fromBlock}`;
+        const checkpoint = (await this.checkpointStore.get(checkpointKey)) ?? {
+            blockNumber: fromBlock - 1,
+            tokenIds: [],
+        };
+        const latestBlock = await this.blockchainService.getBlockNumber(blockchain);
+        const confirmedBlock = Math.max(latestBlock - confirmations, checkpoint.blockNumber);
+
+        const applyTransfers = (tokenIds, transfers) => {
+            const ownedTokenIds = new Set(tokenIds);
+            transfers.forEach(({ args }) => {
+                // a transfer to self keeps the asset
+                if (args.from.toLowerCase() === owner.toLowerCase())
+                    ownedTokenIds.delete(Number(args.tokenId));
+                if (args.to.toLowerCase() === owner.toLowerCase())
+                    ownedTokenIds.add(Number(args.tokenId));
+            });
+
+            return [...ownedTokenIds].sort((a, b) => a - b);
+        };
+
+        // every block range is checkpointed, an interrupted scan continues after the last one
+        let { tokenIds } = checkpoint;
+        for (const [rangeFromBlock, rangeToBlock] of this.blockchainService.getBlockRanges(
+            checkpoint.blockNumber + 1,
+            confirmedBlock,
+            blockchain,
+        )) {
+            // eslint-disable-next-line no-await-in-loop
+            const transfers = await this.blockchainService.getAssetTransferEvents(
+                owner,
+                null,
+                rangeFromBlock,
+                rangeToBlock,
+                blockchain,
+            );
+            tokenIds = applyTransfers(tokenIds, transfers);
+            // eslint-disable-next-line no-await-in-loop
+            await this.checkpointStore.set(checkpointKey, {
+                blockNumber: rangeToBlock,
+                tokenIds,
+            });
+        }
+
+        // blocks that can still be reorged are scanned on every call and never checkpointed
+        if (latestBlock > confirmedBlock) {
+            const transfers = await this.blockchainService.getAssetTransferEvents(
+                owner,
+                null,
+                confirmedBlock + 1,
+                latestBlock,
+                blockchain,
+            );
+            tokenIds = applyTransfers(tokenIds, transfers);
+        }
+
+        return tokenIds;
+    }
+
+    async _getAssertions(tokenId, assertionIdsLength, blockchain) {
+        return Promise.all(
+            Array.from({ length: assertionIdsLength }, async (_, index) => {
+                const assertionId = await this.blockchainService.getAssertionIdByIndex(
+                    tokenId,
+                    index,
+                    blockchain,
+                );
+                const size = await this.blockchainService.getAssertionSize(assertionId, blockchain);
+
+                return { index, assertionId, size };
+            }),
+        );
+    }
+
+    async _getStateHistory(UAL, fromBlock, blockchain) {
+        const { contract, tokenId } = resolveUAL(UAL);
+        const topics = [ethers.zeroPadValue(contract, 32), ethers.toBeHex(tokenId, 32)];
+
+        let mintedEvent;
+        let finalizedEvents = [];
+        if (fromBlock != null) {
+            const latestBlock = await this.blockchainService.getBlockNumber(blockchain);
+            let mintedEvents;
+            [mintedEvents, finalizedEvents] = await Promise.all([
+                this.blockchainService.getContractEvents(
+                    'AssetMinted',
+                    topics,
+                    fromBlock,
+                    latestBlock,
+                    blockchain,
+                ),
+                this.blockchainService.getContractEvents(
+                    'StateFinalized',
+                    topics,
+                    fromBlock,
+                    latestBlock,
+                    blockchain,
+                ),
+            ]);
+            [mintedEvent] = mintedEvents;
+        } else {
+            mintedEvent = await this._getMintedEvent(UAL, topics, blockchain);
+            // without the mint block there's no lower bound, so the chain isn't scanned
+            if (mintedEvent) {
+                finalizedEvents = await this.blockchainService.getContractEvents(
+                    'StateFinalized',
+                    topics,
+                    mintedEvent.blockNumber,
+                    'latest',
+                    blockchain,
+                );
+            }
+        }
+        const assertionIdsLength = await this.blockchainService.getAssertionIdsLength(
+            tokenId,
+            blockchain,
+        );
+        // the first state is set on mint, every next one when an update gets finalized
+        const stateEvents = { 0: mintedEvent };
+        finalizedEvents.forEach((event) => {
+            stateEvents[Number(event.args.stateIndex)] = event;
+        });
+
+        const assertions = await this._getAssertions(tokenId, assertionIdsLength, blockchain);
+
+        return Promise.all(
+            assertions.map(async (assertion) => {
+                const event = stateEvents[assertion.index];
+                if (!event) {
+                    return {
+                        ...assertion,
+                        blockNumber: null,
+                        transactionHash: null,
+                        timestamp: null,
+                    };
+                }
+                const block = await this.blockchainService.getBlock(event.blockNumber, blockchain);
+
+                return {
+                    ...assertion,
+                    blockNumber: event.blockNumber,
+                    transactionHash: event.transactionHash,
+                    timestamp: block.timestamp,
+                };
+            }),
+        );
+    }
+
+    async _getMintedEvent(UAL, topics, blockchain) {
+        const key = UAL.toLowerCase();
+        if (!this.mintedEvents[key]) {
+            const event = await this.blockchainService.findContractEvent(
+                'AssetMinted',
+                topics,
+                blockchain,
+            );
+            if (!event) return null;
+            this.mintedEvents[key] = event;
+        }
+
+        return this.mintedEvents[key];
+    }
+
+    async _resolveHistoricalState(
+        UAL,
+        { stateIndex, assertionId, atTimestamp, fromBlock },
+        blockchain,
+    ) {
+        const { tokenId } = resolveUAL(UAL);
+        const assertionIdsLength = await this.blockchainService.getAssertionIdsLength(
+            tokenId,
+            blockchain,
+        );
+        let index;
+
+        if (stateIndex != null) {
+            if (stateIndex >= assertionIdsLength) {
+                throw new ValidationError(
+                    `State index ${stateIndex} doesn't exist, asset has ${assertionIdsLength} states.`,
+                );
+            }
+            index = stateIndex;
+        } else if (assertionId != null) {
+            const assertions = await this._getAssertions(tokenId, assertionIdsLength, blockchain);
+            index = assertions.findIndex(
+                (assertion) => assertion.assertionId.toLowerCase() === assertionId.toLowerCase(),
+            );
+            if (index === -1) {
+                throw new ValidationError(
+                    `Assertion ${assertionId} isn't a finalized state of asset ${UAL}.`,
+                );
+            }
+        } else {
+            const history = await this._getStateHistory(UAL, fromBlock, blockchain);
+            index = history.findLastIndex(
+                (state) => state.timestamp != null && state.timestamp <= atTimestamp,
+            );
+            if (index === -1) {
+                throw new ValidationError(
+                    `Asset ${UAL} didn't have any finalized state at ${atTimestamp}.`,
+                );
+            }
+        }
+
+        return {
+            index,
+            assertionId: await this.blockchainService.getAssertionIdByIndex(
+                tokenId,
+                index,
+                blockchain,
+            ),
+            historical: index < assertionIdsLength - 1,
+        };
+    }
+
+    async _getPatchQuads(patchContent) {
+        const toQuads = async (value) => {
+            if (value == null) return [];
+            if (typeof value === 'string' || Array.isArray(value)) {
+                const nquads = typeof value === 'string' ? value : value.join('\n');
+
+                return toNQuads(nquads, 'application/n-quads');
+            }
+
+            return toNQuads(value);
+        };
+
+        const isSplit =
+            patchContent != null &&
+            typeof patchContent === 'object' &&
+            !Array.isArray(patchContent) &&
+            (patchContent.public || patchContent.private);
+
+        const quads = {
+            public: await toQuads(isSplit ? patchContent.public : patchContent),
+            private: await toQuads(isSplit ? patchContent.private : null),
+        };
+        // patch fragments are canonicalized on their own, so their blank node labels would
+        // collide with the labels of the patched assertion
+        const hasBlankNode = (quad) => /(^|\s)_:/.test(quad.replace(/"(?:[^"\\]|\\.)*"/g, '""'));
+        if ([...quads.public, ...quads.private].some(hasBlankNode)) {
+            throw new ValidationError("Patch can't contain blank nodes, use IRIs instead.");
+        }
+
+        return quads;
+    }
+
+    _getDiffStateOptions(state) {
+        if (typeof state === 'number') return { stateIndex: state };
+        if (typeof state === 'object') return state;
+
+        const assetStates = { latest: ASSET_STATES.LATEST, finalized: ASSET_STATES.FINALIZED };
+        if (assetStates[state.toLowerCase()]) return { state: assetStates[state.toLowerCase()] };
+        if (Object.values(ASSET_STATES).includes(state.toUpperCase())) {
+            return { state: state.toUpperCase() };
+        }
+
+        return { assertionId: state };
+    }
+
+    async _formatDiff({ added, removed }) {
+        const toPatch = async (quads) => (quads.length ? toJSONLD(quads.join('\n')) : []);
+        const [addedJSONLD, removedJSONLD] = await Promise.all([toPatch(added), toPatch(removed)]);
+
+        const subjects = {};
+        const addLines = (quads, sign) =>
+            quads.forEach((quad) => {
+                const [subject, ...rest] = quad.split(' ');
+                subjects[subject] = subjects[subject] ?? [];
+                subjects[subject].push(`  ${sign} ${rest.join(' ')}`);
+            });
+        addLines(removed, '-');
+        addLines(added, '+');
+        const summary = [
+            `${added.length} quads added, ${removed.length} quads removed`,
+            ...Object.entries(subjects).map(
+                ([subject, lines]) => `${subject}\n${lines.join('\n')}`,
+            ),
+        ].join('\n');
+
+        return {
+            added,
+            removed,
+            patch: { added: addedJSONLD, removed: removedJSONLD },
+            summary,
+        };
+    }
 }
 
 module.exports = AssetOperationsManager;
@@ -0,0 +1,230 @@
+const { ethers } = require('ethers');
+const { ASSET_EVENTS } = require('../constants.js');
+const { resolveUAL, deriveUAL, mapWithConcurrency } = require('../services/utilities.js');
+
+class EventsOperationsManager {
+    constructor(config, services) {
+        this.blockchainService = services.blockchainService;
+        this.inputService = services.inputService;
+        this.validationService = services.validationService;
+    }
+
+    /**
+     * Calls the handler with every new Knowledge Asset event matching the filter. Only blocks
+     * with at least confirmations blocks on top of them are read, so delivered events aren't
+     * dropped by shallower reorgs. New blocks are pushed when the RPC is a websocket and polled
+     * with the configured frequency otherwise. Blocks are read in ranges of
+     * blockchain.logBlockRange, events of a range are delivered before the next one is read.
+     * @async
+     * @param {Object} filter - Events to deliver.
+     * @param {string} filter.eventName - One of ASSET_EVENTS.
+     * @param {string} [filter.UAL] - Only events of this asset.
+     * @param {string} [filter.owner] - Only transfers from or to this address and events of
+     * transactions it sent.
+     * @param {Function} handler - Called with each event in chain order, awaited before the next.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @param {number} [options.fromBlock] - First block to read, the next confirmed one by default.
+     * @param {number} [options.concurrency] - Transactions looked up at once to match the owner.
+     * @param {Function} [options.onError] - Called when reading events or the handler fails,
+     * blocks that couldn't be read are retried with the next block.
+     * @returns {Promise<Function>} Function that ends the subscription.
+     */
+    async subscribe(filter, handler, options = {}) {
+        const { blockchain, frequency, confirmations, fromBlock, concurrency } =
+            this.inputService.getEventsArguments(options);
+        const onError = options.onError ?? (() => {});
+
+        this.validationService.validateEventsSubscribe(
+            filter,
+            handler,
+            blockchain,
+            frequency,
+            confirmations,
+            fromBlock,
+            concurrency,
+        );
+
+        let nextBlock =
+            fromBlock ?? (await this._getConfirmedBlockNumber(confirmations, blockchain)) + 1;
+        let unsubscribed = false;
+        let processing = Promise.resolve();
+
+        const processBlocks = async (latestBlock) => {
+            const toBlock = latestBlock - confirmations;
+            if (unsubscribed || toBlock < nextBlock) return;
+
+            /* eslint-disable no-await-in-loop */
+            for (const [rangeFromBlock, rangeToBlock] of this.blockchainService.getBlockRanges(
+                nextBlock,
+                toBlock,
+                blockchain,
+            )) {
+                const events = await this._getEvents(
+                    filter,
+                    rangeFromBlock,
+                    rangeToBlock,
+                    concurrency,
+                    blockchain,
+                );
+                nextBlock = rangeToBlock + 1;
+
+                for (const event of events) {
+                    if (unsubscribed) return;
+                    try {
+                        await handler(event);
+                    } catch (error) {
+                        onError(error);
+                    }
+                }
+            }
+            /* eslint-enable no-await-in-loop */
+        };
+        const stopListening = await this.blockchainService.subscribeToNewBlocks(
+            (latestBlock) => {
+                // ranges are processed one at a time so events are delivered in order
+                processing = processing.then(() => processBlocks(latestBlock)).catch(onError);
+
+                return processing;
+            },
+            onError,
+            frequency,
+            blockchain,
+        );
+
+        return () => {
+            unsubscribed = true;
+            stopListening();
+        };
+    }
+
+    /**
+     * Reads past Knowledge Asset events.
+     * @async
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @param {number} [options.fromBlock] - First block to read, by default only the last
+     * blockchain.logBlockRange blocks up to toBlock are read, with a single request.
+     * @param {number} [options.toBlock] - Last block to read, the latest confirmed one by default.
+     * @param {number} [options.concurrency] - Transactions looked up at once to match the owner.
+     * @param {Object} [options.filter={}] - Event name, UAL and owner as in subscribe, events of
+     * all ASSET_EVENTS are read when the event name is omitted.
+     * @returns {Promise<Object[]>} Events in chain order.
+     */
+    async getPast(options = {}) {
+        const { blockchain, confirmations, fromBlock, toBlock, concurrency } =
+            this.inputService.getEventsArguments(options);
+        const filter = options.filter ?? {};
+
+        this.validationService.validateEventsGetPast(
+            filter,
+            blockchain,
+            confirmations,
+            fromBlock,
+            toBlock,
+            concurrency,
+        );
+
+        const lastBlock =
+            toBlock ?? (await this._getConfirmedBlockNumber(confirmations, blockchain));
+        // reading from block 0 would take thousands of requests on a long chain
+        const firstBlock = fromBlock ?? Math.max(lastBlock - blockchain.logBlockRange + 1, 0);
+        if (lastBlock < firstBlock) return [];
+
+        return this._getEvents(filter, firstBlock, lastBlock, concurrency, blockchain);
+    }
+
+    async _getConfirmedBlockNumber(confirmations, blockchain) {
+        const blockNumber = await this.blockchainService.getBlockNumber(blockchain);
+
+        return Math.max(blockNumber - confirmations, -1);
+    }
+
+    async _getEvents(filter, fromBlock, toBlock, concurrency, blockchain) {
+        const eventNames = filter.eventName ? [filter.eventName] : Object.values(ASSET_EVENTS);
+        const asset = filter.UAL ? resolveUAL(filter.UAL) : null;
+
+        const events = await Promise.all(
+            eventNames.map((eventName) =>
+                eventName === ASSET_EVENTS.TRANSFER
+                    ? this._getTransferEvents(asset, filter.owner, fromBlock, toBlock, blockchain)
+                    : this._getAssetEvents(
+                          eventName,
+                          asset,
+                          filter.owner,
+                          fromBlock,
+                          toBlock,
+                          concurrency,
+                          blockchain,
+                      ),
+            ),
+        );
+
+        return events
+            .flat()
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    }
+
+    async _getAssetEvents(eventName, asset, owner, fromBlock, toBlock, concurrency, blockchain) {
+        const topics = asset
+            ? [ethers.zeroPadValue(asset.contract, 32), ethers.toBeHex(asset.tokenId, 32)]
+            : [];
+        const logs = await this.blockchainService.getContractEvents(
+            eventName,
+            topics,
+            fromBlock,
+            toBlock,
+            blockchain,
+        );
+
+        let ownerLogs = logs;
+        if (owner) {
+            // the owner isn't part of these events, but ContentAsset only accepts transactions
+            // of the asset owner and mints assets to the sender
+            const transactions = await mapWithConcurrency(logs, concurrency, (log) =>
+                this.blockchainService.getTransaction(log.transactionHash, blockchain),
+            );
+            ownerLogs = logs.filter(
+                (_, index) => transactions[index].from.toLowerCase() === owner.toLowerCase(),
+            );
+        }
+
+        return ownerLogs.map((log) =>
+            this._formatEvent(eventName, log.args.assetContract, log, blockchain),
+        );
+    }
+
+    async _getTransferEvents(asset, owner, fromBlock, toBlock, blockchain) {
+        const logs = await this.blockchainService.getAssetTransferEvents(
+            owner,
+            asset?.tokenId,
+            fromBlock,
+            toBlock,
+            blockchain,
+        );
+
+        // Transfer is emitted by the asset contract itself
+        const assetLogs = asset
+            ? logs.filter((log) => log.address.toLowerCase() === asset.contract.toLowerCase())
+            : logs;
+
+        return assetLogs.map((log) =>
+            this._formatEvent(ASSET_EVENTS.TRANSFER, log.address, log, blockchain),
+        );
+    }
+
+    _formatEvent(
+        eventName,
+        contract,
+        { blockNumber, transactionHash, logIndex, args },
+        blockchain,
+    ) {
+        return {
+            eventName,
+            UAL: deriveUAL(blockchain.name, contract, args.tokenId),
+            blockNumber,
+            transactionHash,
+            logIndex,
+            args,
+        };
+    }
+}
+module.exports = EventsOperationsManager;
@@ -1,9 +1,10 @@
 const { OPERATIONS } = require('../constants');
-const { deriveRepository } = require('../services/utilities.js');
+const { deriveRepository, getOperationError } = require('../services/utilities.js');
 
 class GraphOperationsManager {
     constructor(config, services) {
         this.nodeApiService = services.nodeApiService;
+        this.operationTracker = services.operationTracker;
         this.validationService = services.validationService;
         this.inputService = services.inputService;
     }
@@ -14,6 +15,7 @@ class GraphOperationsManager {
      * @param {string} queryString - The string representation of the SPARQL query to be executed.
      * @param {string} queryType - The type of the SPARQL query, "CONSTRUCT" or "SELECT".
      * @param {Object} [options={}] - An object containing additional options for the query execution.
+     * @param {boolean} [options.strict] - Throw instead of returning the result of a failed query.
      * @returns {Promise} A Promise that resolves to the query result.
      */
     async query(queryString, queryType, options = {}) {
@@ -26,6 +28,8 @@ class GraphOperationsManager {
             frequency,
             authToken,
         } = this.inputService.getQueryArguments(options);
+        const operationTrackingArguments = this.inputService.getOperationTrackingArguments(options);
+        const requestOptions = this.inputService.getRequestOptions(options);
 
         this.validationService.validateGraphQuery(
             queryString,
@@ -48,17 +52,23 @@ class GraphOperationsManager {
             queryString,
             queryType,
             repository,
+            requestOptions,
         );
 
-        return this.nodeApiService.getOperationResult(
-            endpoint,
-            port,
-            authToken,
-            OPERATIONS.QUERY,
-            maxNumberOfRetries,
-            frequency,
-            operationId,
-        );
+        const operationResult = await this.operationTracker
+            .trackOperation(endpoint, port, authToken, OPERATIONS.QUERY, operationId, {
+                maxNumberOfRetries,
+                frequency,
+                ...operationTrackingArguments,
+            })
+            .result();
+
+        if (this.inputService.getStrict(options)) {
+            const error = getOperationError(operationResult, OPERATIONS.QUERY, operationId);
+            if (error) throw error;
+        }
+
+        return operationResult;
     }
 }
 module.exports = GraphOperationsManager;
@@ -1,6 +1,7 @@
 class NodeOperationsManager {
     constructor(config, services) {
         this.nodeApiService = services.nodeApiService;
+        this.operationTracker = services.operationTracker;
         this.inputService = services.inputService;
     }
 
@@ -11,6 +12,9 @@ class NodeOperationsManager {
      * @param {string} [options.endpoint] - The endpoint URL to send the request to.
      * @param {number} [options.port] - The port number to use for the request.
      * @param {string} [options.authToken] - The authentication token to include in the request headers.
+     * @param {number} [options.requestTimeout] - Time limit of the request, in milliseconds.
+     * @param {number} [options.requestRetries] - Max number of times a failed request is resent.
+     * @param {AbortSignal} [options.signal] - Signal used to cancel the request.
      * @returns {Promise} - A promise that resolves to the node info data returned from the API.
      */
     async info(options = {}) {
@@ -18,9 +22,45 @@ class NodeOperationsManager {
         const port = this.inputService.getPort(options);
         const authToken = this.inputService.getAuthToken(options);
 
-        const response = await this.nodeApiService.info(endpoint, port, authToken);
+        const requestOptions = this.inputService.getRequestOptions(options);
+
+        const response = await this.nodeApiService.info(endpoint, port, authToken, requestOptions);
 
         return response.data;
     }
+
+    /**
+     * Starts tracking an operation previously started on the node.
+     * @param {string} operation - The operation name, one of OPERATIONS.
+     * @param {string} operationId - The operation id returned by the node.
+     * @param {Object} [options={}] - The options for tracking.
+     * @param {number} [options.frequency] - Delay before the first status check, in seconds.
+     * @param {number} [options.maxNumberOfRetries] - Max number of status checks.
+     * @param {number} [options.backoffFactor] - Multiplier applied to the delay after every check.
+     * @param {number} [options.maxFrequency] - Upper bound for the delay between checks, in seconds.
+     * @param {number} [options.jitter] - Random deviation of the delay, as a fraction of it.
+     * @param {number} [options.operationTimeout] - Overall time limit, in milliseconds.
+     * @param {AbortSignal} [options.signal] - Signal used to cancel tracking.
+     * @returns {OperationHandle} - An event emitter and async iterator of status transitions,
+     * with result() resolving to the final operation result.
+     */
+    trackOperation(operation, operationId, options = {}) {
+        const endpoint = this.inputService.getEndpoint(options);
+        const port = this.inputService.getPort(options);
+        const authToken = this.inputService.getAuthToken(options);
+
+        return this.operationTracker.trackOperation(
+            endpoint,
+            port,
+            authToken,
+            operation,
+            operationId,
+            {
+                maxNumberOfRetries: this.inputService.getMaxNumberOfRetries(options),
+                frequency: this.inputService.getFrequency(options),
+                ...this.inputService.getOperationTrackingArguments(options),
+            },
+        );
+    }
 }
 module.exports = NodeOperationsManager;
@@ -0,0 +1,125 @@
+const { resolveUAL, getAgreementEpochs } = require('../services/utilities.js');
+
+class ServiceAgreementOperationsManager {
+    constructor(config, services) {
+        this.blockchainService = services.blockchainService;
+        this.inputService = services.inputService;
+        this.validationService = services.validationService;
+    }
+
+    /**
+     * Derives the id of the service agreement of the asset.
+     * @async
+     * @param {string} UAL - The Universal Asset Locator of the asset.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Promise<string>} The agreement id.
+     */
+    async getAgreementId(UAL, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+
+        this.validationService.validateServiceAgreement(UAL, blockchain);
+
+        const { contract, tokenId } = resolveUAL(UAL);
+
+        return this.blockchainService.getAgreementId(contract, tokenId, blockchain);
+    }
+
+    /**
+     * Retrieves the service agreement of the asset together with its epochs at the timestamp of
+     * the latest block.
+     * @async
+     * @param {string} UAL - The Universal Asset Locator of the asset.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Promise<Object>} Agreement id, start time, epochs number and length, token amounts,
+     * current epoch, epochs left including the current one, end of the current epoch and expiry
+     * time as unix timestamps in seconds.
+     */
+    async getAgreement(UAL, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+
+        this.validationService.validateServiceAgreement(UAL, blockchain);
+
+        return this._getAgreement(UAL, blockchain);
+    }
+
+    /**
+     * @async
+     * @param {string} UAL - The Universal Asset Locator of the asset.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Promise<number>} The current epoch of the service agreement, starting from 0.
+     */
+    async getCurrentEpoch(UAL, options = {}) {
+        const { currentEpoch } = await this.getAgreement(UAL, options);
+
+        return currentEpoch;
+    }
+
+    /**
+     * @async
+     * @param {string} UAL - The Universal Asset Locator of the asset.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Promise<number>} Number of epochs left including the current one, 0 once expired.
+     */
+    async getEpochsLeft(UAL, options = {}) {
+        const { epochsLeft } = await this.getAgreement(UAL, options);
+
+        return epochsLeft;
+    }
+
+    /**
+     * @async
+     * @param {string} UAL - The Universal Asset Locator of the asset.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Promise<Date>} End of the last epoch of the service agreement.
+     */
+    async getExpiryDate(UAL, options = {}) {
+        const { expiryTime } = await this.getAgreement(UAL, options);
+
+        return new Date(expiryTime * 1000);
+    }
+
+    /**
+     * Splits the tokens locked in the service agreement of the asset.
+     * @async
+     * @param {string} UAL - The Universal Asset Locator of the asset.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Promise<Object>} Amounts in wei: tokens left for rewarding the remaining epochs,
+     * tokens added for updates, their sum and the average amount left per remaining epoch.
+     */
+    async getTokenBalanceBreakdown(UAL, options = {}) {
+        const { agreementId, tokenAmount, addedTokenAmount, epochsLeft } = await this.getAgreement(
+            UAL,
+            options,
+        );
+
+        return {
+            agreementId,
+            tokenAmount,
+            addedTokenAmount,
+            totalTokenAmount: (BigInt(tokenAmount) + BigInt(addedTokenAmount)).toString(),
+            epochsLeft,
+            tokenAmountPerEpoch:
+                epochsLeft > 0 ? (BigInt(tokenAmount) / BigInt(epochsLeft)).toString() : '0',
+        };
+    }
+
+    async _getAgreement(UAL, blockchain) {
+        const { contract, tokenId } = resolveUAL(UAL);
+        const agreementId = await this.blockchainService.getAgreementId(
+            contract,
+            tokenId,
+            blockchain,
+        );
+        const [agreementData, now] = await Promise.all([
+            this.blockchainService.getAgreementData(agreementId, blockchain),
+            this.blockchainService.getBlockchainTimestamp(blockchain),
+        ]);
+
+        return {
+            agreementId,
+            ...agreementData,
+            ...getAgreementEpochs(agreementData, now),
+        };
+    }
+}
+module.exports = ServiceAgreementOperationsManager;
@@ -0,0 +1,174 @@
+const { getOperationStatusObject } = require('../services/utilities.js');
+
+class TokenOperationsManager {
+    constructor(config, services) {
+        this.blockchainService = services.blockchainService;
+        this.inputService = services.inputService;
+        this.validationService = services.validationService;
+    }
+
+    /**
+     * Gets the TRAC balance of an account.
+     * @async
+     * @param {string} [address] - Address of the account, the configured account by default.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Promise<string>} Balance in wei.
+     */
+    async balanceOf(address = null, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+
+        this.validationService.validateTokenBalanceOf(address, blockchain);
+
+        return this.blockchainService.getTokenBalance(
+            address ?? (await this.blockchainService.getPublicKey(blockchain)),
+            blockchain,
+        );
+    }
+
+    /**
+     * Gets the amount of TRAC the spender can transfer from the configured account.
+     * @async
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @param {string} [options.spender] - Address of the spender, ServiceAgreementV1 by default.
+     * @returns {Promise<string>} Allowance in wei.
+     */
+    async allowance(options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+        const spender = this.inputService.getSpender(options);
+
+        this.validationService.validateTokenAllowance(spender, blockchain);
+
+        return this.blockchainService.getTokenAllowance(
+            await this.blockchainService.getPublicKey(blockchain),
+            spender ?? (await this._getServiceAgreementV1Address(blockchain)),
+            blockchain,
+        );
+    }
+
+    /**
+     * Increases the allowance of the spender.
+     * @async
+     * @param {string|number|bigint} amount - Amount in wei.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @param {string} [options.spender] - Address of the spender, ServiceAgreementV1 by default.
+     * @returns {Promise<Object>} Hash of the transaction and the new allowance.
+     */
+    async increaseAllowance(amount, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+        const spender = this.inputService.getSpender(options);
+
+        this.validationService.validateTokenAllowanceChange(amount, spender, blockchain);
+
+        const spenderAddress = spender ?? (await this._getServiceAgreementV1Address(blockchain));
+        const receipt = await this.blockchainService.increaseTokenAllowance(
+            spenderAddress,
+            amount.toString(),
+            blockchain,
+        );
+
+        return this._getAllowanceResult(spenderAddress, receipt, blockchain);
+    }
+
+    /**
+     * Decreases the allowance of the spender. Allowance reserved for pending asset transactions
+     * can't be taken away, see blockchain.reuseAllowance.
+     * @async
+     * @param {string|number|bigint} amount - Amount in wei.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @param {string} [options.spender] - Address of the spender, ServiceAgreementV1 by default.
+     * @returns {Promise<Object>} Hash of the transaction and the new allowance.
+     */
+    async decreaseAllowance(amount, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+        const spender = this.inputService.getSpender(options);
+
+        this.validationService.validateTokenAllowanceChange(amount, spender, blockchain);
+
+        const spenderAddress = spender ?? (await this._getServiceAgreementV1Address(blockchain));
+        const receipt = await this.blockchainService.decreaseUnreservedTokenAllowance(
+            spenderAddress,
+            amount.toString(),
+            blockchain,
+        );
+
+        return this._getAllowanceResult(spenderAddress, receipt, blockchain);
+    }
+
+    /**
+     * Makes sure the spender can transfer at least the amount, the allowance is increased only by
+     * the missing amount and no transaction is sent if it's already sufficient.
+     * @async
+     * @param {string|number|bigint} amount - Amount in wei.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @param {string} [options.spender] - Address of the spender, ServiceAgreementV1 by default.
+     * @returns {Promise<Object>} Amount the allowance was increased by, hash of the transaction
+     * or null if none was sent and the new allowance.
+     */
+    async ensureAllowance(amount, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+        const spender = this.inputService.getSpender(options);
+
+        this.validationService.validateTokenAllowanceChange(amount, spender, blockchain);
+
+        const spenderAddress = spender ?? (await this._getServiceAgreementV1Address(blockchain));
+        const { increasedAmount, receipt } = await this.blockchainService.ensureTokenAllowance(
+            spenderAddress,
+            amount.toString(),
+            blockchain,
+        );
+
+        return {
+            increasedAmount,
+            ...(await this._getAllowanceResult(spenderAddress, receipt, blockchain)),
+        };
+    }
+
+    /**
+     * Transfers TRAC from the configured account.
+     * @async
+     * @param {string} to - Address of the recipient.
+     * @param {string|number|bigint} amount - Amount in wei.
+     * @param {Object} [options={}] - Optional parameters for blockchain service.
+     * @returns {Promise<Object>} Hash of the transaction and the new balance of the account.
+     */
+    async transfer(to, amount, options = {}) {
+        const blockchain = this.inputService.getBlockchain(options);
+
+        this.validationService.validateTokenTransfer(to, amount, blockchain);
+
+        const receipt = await this.blockchainService.transferTokens(
+            to,
+            amount.toString(),
+            blockchain,
+        );
+
+        return {
+            to,
+            amount: amount.toString(),
+            transactionHash: receipt.transactionHash,
+            balance: await this.blockchainService.getTokenBalance(
+                await this.blockchainService.getPublicKey(blockchain),
+                blockchain,
+            ),
+            operation: getOperationStatusObject({ status: 'COMPLETED' }, null),
+        };
+    }
+
+    async _getServiceAgreementV1Address(blockchain) {
+        return this.blockchainService.getContractAddress('ServiceAgreementV1', blockchain);
+    }
+
+    async _getAllowanceResult(spender, receipt, blockchain) {
+        return {
+            spender,
+            transactionHash: receipt?.transactionHash ?? null,
+            allowance: await this.blockchainService.getTokenAllowance(
+                await this.blockchainService.getPublicKey(blockchain),
+                spender,
+                blockchain,
+            ),
+            operation: getOperationStatusObject({ status: 'COMPLETED' }, null),
+        };
+    }
+}
+module.exports = TokenOperationsManager;
@@ -1,10 +1,14 @@
 // interfaces
 const NodeApiInterface = require('./node-api-service/node-api-interface.js');
+const NodePool = require('./node-api-service/node-pool.js');
 const BlockchainInterface = require('./blockchain-service/blockchain-interface.js');
+const StoreInterface = require('./store-service/store-interface.js');
 // services
 const ValidationService = require('./validation-service.js');
 const Utilities = require('./utilities.js');
 const InputService = require('./input-service.js');
+const OperationTracker = require('./operation-tracker.js');
+const PublishJournal = require('./publish-journal.js');
 
 class BaseServiceManager {
     constructor(config) {
@@ -12,32 +16,81 @@ class BaseServiceManager {
     }
 
     initializeServices(config) {
+        this.validationService = new ValidationService();
         this.blockchainService = this.initializeBlockchainService(config);
         this.nodeApiService = this.initializeNodeApiService(config);
+        this.operationTracker = new OperationTracker(this.nodeApiService);
         this.inputService = new InputService(config);
-        this.validationService = new ValidationService();
+        this.publishJournal = new PublishJournal(this.initializeJournalStore(config), {
+            includePrivateAssertions: config.journal?.includePrivateAssertions,
+        });
+        this.checkpointStore = this.initializeCheckpointStore(config);
     }
 
     getServices() {
         return {
             blockchainService: this.blockchainService,
             nodeApiService: this.nodeApiService,
+            operationTracker: this.operationTracker,
             validationService: this.validationService,
             inputService: this.inputService,
+            publishJournal: this.publishJournal,
+            checkpointStore: this.checkpointStore,
         };
     }
 
     initializeNodeApiService(config) {
-        return config.communicationType && NodeApiInterface[config.communicationType]
-            ? new NodeApiInterface[config.communicationType](config)
-            : new NodeApiInterface.Default(config);
+        if (config.middleware != null) this.validationService.validateMiddleware(config.middleware);
+
+        const nodeApiService =
+            config.communicationType && NodeApiInterface[config.communicationType]
+                ? new NodeApiInterface[config.communicationType](config)
+                : new NodeApiInterface.Default(config);
+
+        if (!config.nodes) return nodeApiService;
+
+        this.validationService.validateNodePool(config.nodes, config.nodePool);
+
+        return new NodePool(nodeApiService, config.nodes, config.nodePool);
+    }
+
+    initializeJournalStore(config) {
+        if (!config.journal) return null;
+
+        return this.initializeStore({ name: 'publish-journal', ...config.journal });
+    }
+
+    /**
+     * Checkpoints of blockchain scans are kept in memory unless a store is configured.
+     */
+    initializeCheckpointStore(config) {
+        if (!config.checkpoints) return new StoreInterface.Memory();
+
+        return this.initializeStore({ name: 'checkpoints', ...config.checkpoints });
+    }
+
+    initializeStore(storeConfig) {
+        if (storeConfig.store && typeof storeConfig.store === 'object') {
+            return storeConfig.store;
+        }
+        if (storeConfig.store && StoreInterface[storeConfig.store]) {
+            return new StoreInterface[storeConfig.store](storeConfig);
+        }
+
+        return Utilities.nodeSupported()
+            ? new StoreInterface.File(storeConfig)
+            : new StoreInterface.IndexedDB(storeConfig);
     }
 
     initializeBlockchainService(config) {
         if (Utilities.nodeSupported()) {
             return new BlockchainInterface.Node(config);
         }
-        if (!Utilities.nodeSupported() && !window.ethereum && config.blockchain?.privateKey) {
+        if (
+            !Utilities.nodeSupported() &&
+            !window.ethereum &&
+            (config.blockchain?.privateKey || config.blockchain?.signer)
+        ) {
             return new BlockchainInterface.Node(config);
         }
         return new BlockchainInterface.Browser(config);
@@ -0,0 +1,6 @@
+/* eslint-disable global-require */
+// adapters are loaded when selected, so that web3.js isn't loaded or bundled with the ethers one
+module.exports = {
+    Web3: () => require('./implementations/web3-adapter.js'),
+    Ethers: () => require('./implementations/ethers-adapter.js'),
+};
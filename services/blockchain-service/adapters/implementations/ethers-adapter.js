@@ -0,0 +1,177 @@
+const { ethers } = require('ethers');
+const { toEthersTransactionRequest } = require('../../../utilities.js');
+
+/**
+ * Blockchain adapter backed by ethers v6. Values returned from contract calls are formatted as
+ * web3.js returns them, integers as decimal strings.
+ */
+class EthersAdapter {
+    constructor({ rpc, injectedProvider }) {
+        if (injectedProvider) {
+            this.provider = new ethers.BrowserProvider(injectedProvider);
+        } else if (rpc.startsWith('ws')) {
+            this.provider = new ethers.WebSocketProvider(rpc);
+            this.subscriptionsSupported = true;
+        } else {
+            this.provider = new ethers.JsonRpcProvider(rpc);
+        }
+    }
+
+    getContract(abi, address) {
+        return new ethers.Contract(address, abi, this.provider);
+    }
+
+    async callContractFunction(contract, functionName, args, from, blockTag = 'latest') {
+        return this.formatResult(
+            await contract
+                .getFunction(functionName)
+                .staticCall(...args, from ? { from, blockTag } : { blockTag }),
+        );
+    }
+
+    /**
+     * Converts BigInts to strings and results of functions returning several values to arrays.
+     */
+    formatResult(value) {
+        if (typeof value === 'bigint') return value.toString();
+        if (Array.isArray(value)) return Array.from(value, (item) => this.formatResult(item));
+
+        return value;
+    }
+
+    async estimateGas(contract, functionName, args, from) {
+        return Number(await contract.getFunction(functionName).estimateGas(...args, { from }));
+    }
+
+    encodeFunctionData(contract, functionName, args) {
+        return contract.interface.encodeFunctionData(functionName, args);
+    }
+
+    async getGasPrice() {
+        return BigInt(await this.provider.send('eth_gasPrice', [])).toString();
+    }
+
+    async getFeeHistory(blockCount, newestBlock, rewardPercentiles) {
+        return this.provider.send('eth_feeHistory', [
+            ethers.toQuantity(blockCount),
+            newestBlock,
+            rewardPercentiles,
+        ]);
+    }
+
+    async getBalance(address) {
+        return (await this.provider.getBalance(address)).toString();
+    }
+
+    async getTransactionCount(address, blockTag) {
+        return this.provider.getTransactionCount(address, blockTag);
+    }
+
+    async getChainId() {
+        const network = await this.provider.getNetwork();
+
+        return Number(network.chainId);
+    }
+
+    async getTransactionReceipt(transactionHash) {
+        const receipt = await this.provider.getTransactionReceipt(transactionHash);
+        if (!receipt) return null;
+
+        return {
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            status: receipt.status === 1,
+            gasUsed: Number(receipt.gasUsed),
+            logs: receipt.logs.map(({ address, topics, data }) => ({ address, topics, data })),
+        };
+    }
+
+    /**
+     * Broadcasts a signed transaction.
+     * @returns {Promise<string>} Hash of the transaction, the receipt isn't awaited.
+     */
+    async sendSignedTransaction(rawTransaction) {
+        const response = await this.provider.broadcastTransaction(rawTransaction);
+
+        return response.hash;
+    }
+
+    /**
+     * Sends the transaction to be signed by the wallet of the injected provider.
+     * @returns {Promise<string>} Hash of the transaction, the receipt isn't awaited.
+     */
+    async sendTransaction(tx) {
+        const signer = await this.provider.getSigner(tx.from);
+        const response = await signer.sendTransaction(toEthersTransactionRequest(tx));
+
+        return response.hash;
+    }
+
+    /**
+     * Executes the transaction with eth_call.
+     * @returns {Promise<string|null>} Revert data of the call, null if the call succeeds.
+     */
+    async getRevertData(tx, blockTag) {
+        try {
+            // provider.call() stops resolving later requests after a revert
+            await this.provider.send('eth_call', [
+                tx,
+                typeof blockTag === 'number' ? ethers.toQuantity(blockTag) : blockTag,
+            ]);
+        } catch (error) {
+            if (!ethers.isError(error, 'CALL_EXCEPTION') || error.data == null) throw error;
+
+            return error.data;
+        }
+
+        return null;
+    }
+
+    async getLogs({ address, topics, fromBlock, toBlock }) {
+        const logs = await this.provider.getLogs({ address, topics, fromBlock, toBlock });
+
+        return logs.map((log) => ({
+            address: log.address,
+            topics: log.topics,
+            data: log.data,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            logIndex: log.index,
+        }));
+    }
+
+    decodeEventLog(eventAbi, log) {
+        return new ethers.Interface([eventAbi])
+            .decodeEventLog(eventAbi.name, log.data, log.topics)
+            .toObject();
+    }
+
+    async getBlockNumber() {
+        // provider.getBlockNumber() can return a cached value
+        return Number(await this.provider.send('eth_blockNumber', []));
+    }
+
+    /**
+     * Subscribes to new block headers, available only with websocket providers.
+     * @returns {Function} Function that ends the subscription.
+     */
+    subscribeToNewBlocks(listener, onError) {
+        const blockListener = (blockNumber) => listener(blockNumber);
+        this.provider.on('block', blockListener).catch(onError);
+
+        return () => this.provider.off('block', blockListener);
+    }
+
+    async getTransaction(transactionHash) {
+        const transaction = await this.provider.getTransaction(transactionHash);
+
+        return { from: transaction.from, to: transaction.to };
+    }
+
+    async getBlock(blockNumber) {
+        const block = await this.provider.getBlock(blockNumber);
+
+        return { number: block.number, timestamp: block.timestamp };
+    }
+}
+module.exports = EthersAdapter;
@@ -0,0 +1,230 @@
+const { RpcQuorumError } = require('../../../../errors.js');
+
+const FAILOVER_ERROR_CODES = [
+    // ethers
+    'NETWORK_ERROR',
+    'SERVER_ERROR',
+    'TIMEOUT',
+    // node sockets
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    // JSON-RPC limit exceeded and HTTP too many requests
+    -32005,
+    429,
+];
+// web3.js reports transport errors by message only
+const FAILOVER_ERROR_MESSAGE =
+    /CONNECTION ERROR|CONNECTION TIMEOUT|connection not open|Invalid JSON RPC response|timed? ?out|rate limit|too many requests|limit exceeded/i;
+
+/**
+ * Whether the RPC failed rather than the request, reverts and other errors of the call itself
+ * would be returned by every RPC.
+ */
+function isFailoverError(error) {
+    if (error?.code === 'CALL_EXCEPTION' || /revert/i.test(error?.message)) return false;
+
+    const innerError = error?.info?.error ?? error?.error;
+
+    return (
+        [error?.code, innerError?.code].some((code) => FAILOVER_ERROR_CODES.includes(code)) ||
+        [error?.message, innerError?.message].some((message) =>
+            FAILOVER_ERROR_MESSAGE.test(message),
+        )
+    );
+}
+
+/**
+ * Adapter over several RPCs of the same blockchain, each of them with its own adapter. Reads are
+ * sent to one RPC and retried on the next one when the RPC is unreachable, times out or rate
+ * limits, other errors such as reverts are thrown right away. The RPC that answered is asked
+ * first next time. Signed transactions are broadcast to all RPCs. Block subscriptions aren't failed
+ * over, so new blocks are always polled.
+ */
+class FallbackAdapter {
+    constructor(adapters) {
+        this.adapters = adapters;
+        this.currentIndex = 0;
+    }
+
+    /**
+     * Contract instances are created for every RPC, calls use the instance of the RPC they are sent to.
+     */
+    getContract(abi, address) {
+        return {
+            address,
+            contracts: this.adapters.map((adapter) => adapter.getContract(abi, address)),
+        };
+    }
+
+    async callContractFunction(contract, functionName, args, from) {
+        return this.read((adapter, index) =>
+            adapter.callContractFunction(contract.contracts[index], functionName, args, from),
+        );
+    }
+
+    /**
+     * Calls the function on all RPCs at once, at the same block so that RPCs which are a few
+     * blocks apart don't disagree.
+     * @param {number} quorum - Number of RPCs that have to return the same result.
+     * @returns {Promise<any>} Result returned by at least quorum RPCs.
+     */
+    async callContractFunctionWithQuorum(contract, functionName, args, quorum) {
+        const blockNumber = await this.getQuorumBlockNumber(quorum);
+        const responses = await Promise.allSettled(
+            this.adapters.map((adapter, index) =>
+                adapter.callContractFunction(
+                    contract.contracts[index],
+                    functionName,
+                    args,
+                    null,
+                    blockNumber,
+                ),
+            ),
+        );
+
+        const results = new Map();
+        responses
+            .filter((response) => response.status === 'fulfilled')
+            .forEach(({ value }) => {
+                const key = JSON.stringify(value, (_, item) =>
+                    typeof item === 'bigint' ? item.toString() : item,
+                );
+                results.set(key, { value, count: (results.get(key)?.count ?? 0) + 1 });
+            });
+
+        const agreeingCount = Math.max(0, ...[...results.values()].map(({ count }) => count));
+        const agreedResult = [...results.values()].find(({ count }) => count >= quorum);
+        if (!agreedResult) {
+            const failedResponse = responses.find((response) => response.status === 'rejected');
+            throw new RpcQuorumError(
+                `Only ${agreeingCount} of ${quorum} required RPCs returned the same result of ${functionName}.`,
+                { quorum, agreeingCount, cause: failedResponse?.reason },
+            );
+        }
+
+        return agreedResult.value;
+    }
+
+    /**
+     * Returns the latest block reached by at least quorum RPCs, RPCs that are behind it fail
+     * reads at that block instead of answering with an older state.
+     */
+    async getQuorumBlockNumber(quorum) {
+        const responses = await Promise.allSettled(
+            this.adapters.map((adapter) => adapter.getBlockNumber()),
+        );
+        const blockNumbers = responses
+            .filter((response) => response.status === 'fulfilled')
+            .map(({ value }) => value)
+            .sort((a, b) => b - a);
+
+        if (blockNumbers.length < quorum) {
+            const failedResponse = responses.find((response) => response.status === 'rejected');
+            throw new RpcQuorumError(
+                `Only ${blockNumbers.length} of ${quorum} required RPCs returned the latest block number.`,
+                { quorum, agreeingCount: blockNumbers.length, cause: failedResponse?.reason },
+            );
+        }
+
+        return blockNumbers[quorum - 1];
+    }
+
+    async estimateGas(contract, functionName, args, from) {
+        return this.read((adapter, index) =>
+            adapter.estimateGas(contract.contracts[index], functionName, args, from),
+        );
+    }
+
+    encodeFunctionData(contract, functionName, args) {
+        return this.adapters[0].encodeFunctionData(contract.contracts[0], functionName, args);
+    }
+
+    async getGasPrice() {
+        return this.read((adapter) => adapter.getGasPrice());
+    }
+
+    async getFeeHistory(blockCount, newestBlock, rewardPercentiles) {
+        return this.read((adapter) =>
+            adapter.getFeeHistory(blockCount, newestBlock, rewardPercentiles),
+        );
+    }
+
+    async getBalance(address) {
+        return this.read((adapter) => adapter.getBalance(address));
+    }
+
+    async getTransactionCount(address, blockTag) {
+        return this.read((adapter) => adapter.getTransactionCount(address, blockTag));
+    }
+
+    async getChainId() {
+        return this.read((adapter) => adapter.getChainId());
+    }
+
+    async getTransactionReceipt(transactionHash) {
+        return this.read((adapter) => adapter.getTransactionReceipt(transactionHash));
+    }
+
+    /**
+     * Broadcasts a signed transaction to all RPCs, so it reaches the network even if some of
+     * them are down.
+     * @returns {Promise<string>} Hash of the transaction, once any of the RPCs accepted it.
+     */
+    async sendSignedTransaction(rawTransaction) {
+        try {
+            return await Promise.any(
+                this.adapters.map((adapter) => adapter.sendSignedTransaction(rawTransaction)),
+            );
+        } catch (error) {
+            // every RPC rejected the transaction, errors are in the order of the RPCs
+            throw error.errors[0];
+        }
+    }
+
+    async getRevertData(tx, blockTag) {
+        return this.read((adapter) => adapter.getRevertData(tx, blockTag));
+    }
+
+    async getLogs(filter) {
+        return this.read((adapter) => adapter.getLogs(filter));
+    }
+
+    decodeEventLog(eventAbi, log) {
+        return this.adapters[0].decodeEventLog(eventAbi, log);
+    }
+
+    async getBlockNumber() {
+        return this.read((adapter) => adapter.getBlockNumber());
+    }
+
+    async getBlock(blockNumber) {
+        return this.read((adapter) => adapter.getBlock(blockNumber));
+    }
+
+    async getTransaction(transactionHash) {
+        return this.read((adapter) => adapter.getTransaction(transactionHash));
+    }
+
+    async read(request) {
+        let lastError;
+        for (let attempt = 0; attempt < this.adapters.length; attempt += 1) {
+            const index = (this.currentIndex + attempt) % this.adapters.length;
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                const result = await request(this.adapters[index], index);
+                this.currentIndex = index;
+
+                return result;
+            } catch (error) {
+                if (!isFailoverError(error)) throw error;
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+}
+module.exports = FallbackAdapter;
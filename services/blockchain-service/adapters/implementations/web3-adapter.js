@@ -0,0 +1,168 @@
+const { WEBSOCKET_PROVIDER_OPTIONS } = require('../../../../constants.js');
+const { nodeSupported } = require('../../../utilities.js');
+const { ValidationError } = require('../../../../errors.js');
+
+// the browser bundle doesn't include web3.js, the page provides it
+// eslint-disable-next-line global-require
+const Web3 = nodeSupported() ? require('web3') : window.Web3;
+
+/**
+ * Blockchain adapter backed by web3.js v1.
+ */
+class Web3Adapter {
+    constructor({ rpc, injectedProvider }) {
+        if (!Web3) {
+            throw new ValidationError(
+                'web3.js v1 must be loaded on the page to use the Web3 adapter, or use the Ethers adapter.',
+            );
+        }
+
+        if (injectedProvider) {
+            this.web3 = new Web3(injectedProvider);
+        } else if (rpc.startsWith('ws')) {
+            this.web3 = new Web3(
+                new Web3.providers.WebsocketProvider(rpc, WEBSOCKET_PROVIDER_OPTIONS),
+            );
+            this.subscriptionsSupported = true;
+        } else {
+            this.web3 = new Web3(rpc);
+        }
+    }
+
+    getContract(abi, address) {
+        return new this.web3.eth.Contract(abi, address);
+    }
+
+    async callContractFunction(contract, functionName, args, from, blockTag = 'latest') {
+        return contract.methods[functionName](...args).call(from ? { from } : {}, blockTag);
+    }
+
+    async estimateGas(contract, functionName, args, from) {
+        return Number(await contract.methods[functionName](...args).estimateGas({ from }));
+    }
+
+    encodeFunctionData(contract, functionName, args) {
+        return contract.methods[functionName](...args).encodeABI();
+    }
+
+    async getGasPrice() {
+        return (await this.web3.eth.getGasPrice()).toString();
+    }
+
+    async getFeeHistory(blockCount, newestBlock, rewardPercentiles) {
+        return this.web3.eth.getFeeHistory(blockCount, newestBlock, rewardPercentiles);
+    }
+
+    async getBalance(address) {
+        return (await this.web3.eth.getBalance(address)).toString();
+    }
+
+    async getTransactionCount(address, blockTag) {
+        return Number(await this.web3.eth.getTransactionCount(address, blockTag));
+    }
+
+    async getChainId() {
+        return Number(await this.web3.eth.getChainId());
+    }
+
+    async getTransactionReceipt(transactionHash) {
+        const receipt = await this.web3.eth.getTransactionReceipt(transactionHash);
+        if (!receipt) return null;
+
+        return {
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            status: receipt.status,
+            gasUsed: Number(receipt.gasUsed),
+            logs: receipt.logs,
+        };
+    }
+
+    /**
+     * Broadcasts a signed transaction.
+     * @returns {Promise<string>} Hash of the transaction, the receipt isn't awaited.
+     */
+    async sendSignedTransaction(rawTransaction) {
+        return this.resolveTransactionHash(this.web3.eth.sendSignedTransaction(rawTransaction));
+    }
+
+    /**
+     * Sends the transaction to be signed by the wallet of the injected provider.
+     * @returns {Promise<string>} Hash of the transaction, the receipt isn't awaited.
+     */
+    async sendTransaction(tx) {
+        return this.resolveTransactionHash(this.web3.eth.sendTransaction(tx));
+    }
+
+    resolveTransactionHash(promiEvent) {
+        return new Promise((resolve, reject) => {
+            promiEvent.once('transactionHash', resolve);
+            // receipt is awaited separately, once the hash is known this only rejects on failures already handled there
+            promiEvent.catch(reject);
+        });
+    }
+
+    /**
+     * Executes the transaction with eth_call.
+     * @returns {Promise<string|null>} Revert data of the call, null if the call succeeds.
+     */
+    async getRevertData(tx, blockTag) {
+        try {
+            await this.web3.eth.call(tx, blockTag);
+        } catch (error) {
+            // some nodes return the revert data wrapped in an object
+            const data = typeof error.data === 'string' ? error.data : error.data?.data;
+            if (typeof data !== 'string') throw error;
+
+            return data;
+        }
+
+        return null;
+    }
+
+    async getLogs({ address, topics, fromBlock, toBlock }) {
+        const logs = await this.web3.eth.getPastLogs({ address, topics, fromBlock, toBlock });
+
+        return logs.map((log) => ({
+            address: log.address,
+            topics: log.topics,
+            data: log.data,
+            blockNumber: Number(log.blockNumber),
+            transactionHash: log.transactionHash,
+            logIndex: Number(log.logIndex),
+        }));
+    }
+
+    decodeEventLog(eventAbi, log) {
+        return this.web3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1));
+    }
+
+    async getBlockNumber() {
+        return Number(await this.web3.eth.getBlockNumber());
+    }
+
+    /**
+     * Subscribes to new block headers, available only with websocket providers.
+     * @returns {Function} Function that ends the subscription.
+     */
+    subscribeToNewBlocks(listener, onError) {
+        const subscription = this.web3.eth.subscribe('newBlockHeaders');
+        subscription.on('data', (header) => listener(Number(header.number)));
+        subscription.on('error', onError);
+
+        return () => subscription.unsubscribe();
+    }
+
+    async getTransaction(transactionHash) {
+        const transaction = await this.web3.eth.getTransaction(transactionHash);
+
+        return { from: transaction.from, to: transaction.to };
+    }
+
+    async getBlock(blockNumber) {
+        const block = await this.web3.eth.getBlock(blockNumber);
+
+        return { number: Number(block.number), timestamp: Number(block.timestamp) };
+    }
+}
+module.exports = Web3Adapter;
@@ -1,4 +1,4 @@
-const Web3 = require('web3');
+const { ethers } = require('ethers');
 const AssertionStorageAbi = require('dkg-evm-module/abi/AssertionStorage.json');
 const HubAbi = require('dkg-evm-module/abi/Hub.json');
 const ServiceAgreementV1Abi = require('dkg-evm-module/abi/ServiceAgreementV1.json');
@@ -6,13 +6,38 @@ const ServiceAgreementStorageProxyAbi = require('dkg-evm-module/abi/ServiceAgree
 const ContentAssetStorageAbi = require('dkg-evm-module/abi/ContentAssetStorage.json');
 const UnfinalizedStateStorageAbi = require('dkg-evm-module/abi/UnfinalizedStateStorage.json');
 const ContentAssetAbi = require('dkg-evm-module/abi/ContentAsset.json');
+const CommitManagerV1U1Abi = require('dkg-evm-module/abi/CommitManagerV1U1.json');
 const TokenAbi = require('dkg-evm-module/abi/Token.json');
-const { OPERATIONS_STEP_STATUS } = require('../../constants');
+const { OPERATIONS_STEP_STATUS, TRANSACTION_OPTIONS, LOG_OPTIONS } = require('../../constants');
 const emptyHooks = require('../../util/empty-hooks.js');
+const NonceManager = require('./nonce-manager.js');
+const FeeStrategyInterface = require('./fee-strategies/fee-strategy-interface.js');
+const SignerInterface = require('./signers/signer-interface.js');
+const AdapterInterface = require('./adapters/adapter-interface.js');
+const FallbackAdapter = require('./adapters/implementations/fallback-adapter.js');
+const { sleepForMilliseconds, deriveAgreementId } = require('../utilities.js');
+const {
+    DkgClientError,
+    ValidationError,
+    BlockchainTransactionError,
+    InsufficientAllowanceError,
+    InsufficientBalanceError,
+} = require('../../errors.js');
 
-const FIXED_GAS_LIMIT_METHODS = {
-    createAsset: 450000,
-};
+// ContentAssetStorage may implement ERC721Enumerable, which its ABI doesn't declare
+const ERC721_ENUMERABLE_INTERFACE_ID = '0x780e9d63';
+const ERC721EnumerableAbi = [
+    {
+        inputs: [
+            { internalType: 'address', name: 'owner', type: 'address' },
+            { internalType: 'uint256', name: 'index', type: 'uint256' },
+        ],
+        name: 'tokenOfOwnerByIndex',
+        outputs: [{ internalType: 'uint256', name: '', type: 'uint256' }],
+        stateMutability: 'view',
+        type: 'function',
+    },
+];
 
 class BlockchainServiceBase {
     constructor() {
@@ -21,57 +46,842 @@ class BlockchainServiceBase {
         this.abis.Hub = HubAbi;
         this.abis.ServiceAgreementV1 = ServiceAgreementV1Abi;
         this.abis.ServiceAgreementStorageProxy = ServiceAgreementStorageProxyAbi;
-        this.abis.ContentAssetStorage = ContentAssetStorageAbi;
+        this.abis.ContentAssetStorage = [...ContentAssetStorageAbi, ...ERC721EnumerableAbi];
         this.abis.UnfinalizedStateStorage = UnfinalizedStateStorageAbi;
         this.abis.ContentAsset = ContentAssetAbi;
+        this.abis.CommitManagerV1U1 = CommitManagerV1U1Abi;
         this.abis.Token = TokenAbi;
+
+        this.nonceManager = new NonceManager();
+        this.transactionQueues = {};
+        this.allowanceReservations = {};
+        this.feeStrategies = {};
+        this.signers = new Map();
+
+        // custom errors are declared in several ABIs, Error(string) and Panic(uint256) are built in
+        const errorFragments = new Map();
+        Object.values(this.abis).forEach((abi) => {
+            abi.filter((obj) => obj.type === 'error').forEach((error) => {
+                const fragment = ethers.ErrorFragment.from(error);
+                errorFragments.set(fragment.selector, fragment);
+            });
+        });
+        this.errorsInterface = new ethers.Interface([...errorFragments.values()]);
+
+        this.events = {};
+        ['ContentAsset', 'ContentAssetStorage', 'CommitManagerV1U1'].forEach((contractName) => {
+            this.abis[contractName]
+                .filter((obj) => obj.type === 'event')
+                .forEach((event) => {
+                    const concatInputs = event.inputs.map((input) => input.internalType);
+
+                    this.events[event.name] = {
+                        hash: ethers.id(`${event.name}(${concatInputs})`),
+                        abi: event,
+                        contractName,
+                    };
+                });
+        });
     }
 
-    initializeWeb3() {
+    initializeAdapter() {
         // overridden by subclasses
         return {};
     }
 
-    async decodeEventLogs() {
+    getDefaultAdapter() {
         // overridden by subclasses
-        return {};
+        return 'Web3';
+    }
+
+    /**
+     * Returns the adapter class set by config.blockchain.adapter, getDefaultAdapter() otherwise.
+     */
+    getAdapterImplementation() {
+        const adapter = this.config?.blockchain?.adapter ?? this.getDefaultAdapter();
+
+        if (!AdapterInterface[adapter]) {
+            throw new ValidationError(
+                `Unknown blockchain adapter: ${adapter}, available adapters: ${Object.keys(
+                    AdapterInterface,
+                )}`,
+            );
+        }
+
+        return AdapterInterface[adapter]();
+    }
+
+    /**
+     * Creates an adapter for every RPC of blockchain.rpc, reads fall back to the next RPC.
+     */
+    initializeFallbackAdapter(blockchain) {
+        const Adapter = this.getAdapterImplementation();
+
+        return new FallbackAdapter(blockchain.rpc.map((rpc) => new Adapter({ rpc })));
+    }
+
+    async decodeEventLogs(receipt, eventName, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+        let result;
+        const { hash, abi } = this.events[eventName];
+        receipt.logs.forEach((row) => {
+            if (row.topics[0] === hash) result = adapter.decodeEventLog(abi, row);
+        });
+        return result;
+    }
+
+    /**
+     * Splits blocks from fromBlock to toBlock into ranges of at most blockchain.logBlockRange
+     * blocks, the most a single eth_getLogs request reads.
+     * @returns {number[][]} First and last block of every range.
+     */
+    getBlockRanges(fromBlock, toBlock, blockchain) {
+        const blockRange = blockchain.logBlockRange ?? LOG_OPTIONS.blockRange;
+        const ranges = [];
+        for (let start = fromBlock; start <= toBlock; start += blockRange) {
+            ranges.push([start, Math.min(start + blockRange - 1, toBlock)]);
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Fetches and decodes the logs of an event emitted by the contract it is defined in, one
+     * block range after another. Only the current address of the contract is read, logs emitted
+     * by its versions replaced through the Hub aren't returned.
+     * @param {string[]} topics - Indexed event arguments encoded as topics, null matches any value.
+     * @param {number} fromBlock - First block to read.
+     * @param {number|string} toBlock - Last block to read or 'latest'.
+     */
+    async getContractEvents(eventName, topics, fromBlock, toBlock, blockchain) {
+        const lastBlock = toBlock === 'latest' ? await this.getBlockNumber(blockchain) : toBlock;
+
+        const events = [];
+        for (const [rangeFromBlock, rangeToBlock] of this.getBlockRanges(
+            fromBlock,
+            lastBlock,
+            blockchain,
+        )) {
+            events.push(
+                // eslint-disable-next-line no-await-in-loop
+                ...(await this.getContractEventsInRange(
+                    eventName,
+                    topics,
+                    rangeFromBlock,
+                    rangeToBlock,
+                    blockchain,
+                )),
+            );
+        }
+
+        return events;
+    }
+
+    /**
+     * Finds the log of an event emitted once, e.g. AssetMinted of a token. Logs matching all
+     * topics are few, so every block is read with a single request first. If the RPC limits the
+     * block range of eth_getLogs, ranges are read back from the latest block until it's found.
+     * @returns {Promise<Object|null>} The event, null if the current contract didn't emit it.
+     */
+    async findContractEvent(eventName, topics, blockchain) {
+        const lastBlock = await this.getBlockNumber(blockchain);
+        try {
+            const [event] = await this.getContractEventsInRange(
+                eventName,
+                topics,
+                0,
+                lastBlock,
+                blockchain,
+            );
+
+            return event ?? null;
+        } catch (error) {
+            // the range is too large for the RPC, it's read in ranges below
+        }
+
+        for (const [rangeFromBlock, rangeToBlock] of this.getBlockRanges(
+            0,
+            lastBlock,
+            blockchain,
+        ).reverse()) {
+            // eslint-disable-next-line no-await-in-loop
+            const [event] = await this.getContractEventsInRange(
+                eventName,
+                topics,
+                rangeFromBlock,
+                rangeToBlock,
+                blockchain,
+            );
+            if (event) return event;
+        }
+
+        return null;
+    }
+
+    /**
+     * Fetches and decodes the logs of an event with a single eth_getLogs request.
+     */
+    async getContractEventsInRange(eventName, topics, fromBlock, toBlock, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+        const { hash, abi, contractName } = this.events[eventName];
+        const address = await this.getContractAddress(contractName, blockchain);
+        const logs = await adapter.getLogs({
+            address,
+            topics: [hash, ...topics],
+            fromBlock,
+            toBlock,
+        });
+
+        return logs.map((log) => {
+            const decoded = adapter.decodeEventLog(abi, log);
+
+            return {
+                address: log.address,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash,
+                logIndex: log.logIndex,
+                // only named arguments are kept, ethers decodes integers as BigInts
+                args: Object.fromEntries(
+                    abi.inputs.map(({ name }) => [
+                        name,
+                        typeof decoded[name] === 'bigint'
+                            ? decoded[name].toString()
+                            : decoded[name],
+                    ]),
+                ),
+            };
+        });
+    }
+
+    /**
+     * Fetches ERC-721 transfers of assets in chain order.
+     * @param {string} [address] - Only transfers from or to this address.
+     * @param {number} [tokenId] - Only transfers of this token.
+     */
+    async getAssetTransferEvents(address, tokenId, fromBlock, toBlock, blockchain) {
+        const tokenIdTopic = tokenId != null ? ethers.toBeHex(tokenId, 32) : null;
+        const addressTopic = address ? ethers.zeroPadValue(address.toLowerCase(), 32) : null;
+        // topics are matched by position, transfers from and to the address are read separately
+        const topicsList = address
+            ? [
+                  [addressTopic, null, tokenIdTopic],
+                  [null, addressTopic, tokenIdTopic],
+              ]
+            : [[null, null, tokenIdTopic]];
+
+        const events = await Promise.all(
+            topicsList.map((topics) =>
+                this.getContractEvents('Transfer', topics, fromBlock, toBlock, blockchain),
+            ),
+        );
+
+        // a transfer to self matches both filters
+        const uniqueEvents = new Map();
+        events.flat().forEach((event) => {
+            uniqueEvents.set(`${event.transactionHash}-${event.logIndex}`, event);
+        });
+
+        return [...uniqueEvents.values()].sort(
+            (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex,
+        );
+    }
+
+    /**
+     * Calls the listener with the number of every new block. Websocket providers push new
+     * blocks, with other providers the latest block number is polled.
+     * @param {number} frequency - Polling interval in seconds.
+     * @returns {Promise<Function>} Function that stops listening.
+     */
+    async subscribeToNewBlocks(listener, onError, frequency, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+
+        if (adapter.subscriptionsSupported) return adapter.subscribeToNewBlocks(listener, onError);
+
+        let stopped = false;
+        let timeout;
+        const poll = async () => {
+            try {
+                await listener(await adapter.getBlockNumber());
+            } catch (error) {
+                onError(error);
+            }
+            if (!stopped) timeout = setTimeout(poll, frequency * 1000);
+        };
+        poll();
+
+        return () => {
+            stopped = true;
+            clearTimeout(timeout);
+        };
     }
 
     async callContractFunction(contractName, functionName, args, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
         const contractInstance = await this.getContractInstance(contractName, blockchain);
-        return contractInstance.methods[functionName](...args).call();
+        return adapter.callContractFunction(contractInstance, functionName, args);
     }
 
-    async prepareTransaction(contractInstance, functionName, args, blockchain) {
-        const web3Instance = await this.getWeb3Instance(blockchain);
-        let gasLimit;
-        if (FIXED_GAS_LIMIT_METHODS[functionName]) {
-            gasLimit = FIXED_GAS_LIMIT_METHODS[functionName];
-        } else {
-            gasLimit = await contractInstance.methods[functionName](...args).estimateGas({
-                from: blockchain.publicKey,
-            });
+    /**
+     * Reads a value the client relies on for validation. With several RPCs and blockchain.quorum
+     * set, the value has to be returned by at least quorum of them.
+     */
+    async callContractFunctionWithQuorum(contractName, functionName, args, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+        if (blockchain.quorum == null || !(adapter instanceof FallbackAdapter)) {
+            return this.callContractFunction(contractName, functionName, args, blockchain);
         }
 
-        const encodedABI = await contractInstance.methods[functionName](...args).encodeABI();
+        const contractInstance = await this.getContractInstance(contractName, blockchain);
 
-        let gasPrice;
+        return adapter.callContractFunctionWithQuorum(
+            contractInstance,
+            functionName,
+            args,
+            blockchain.quorum,
+        );
+    }
 
-        if (blockchain.name.startsWith('otp')) {
-            gasPrice = await web3Instance.eth.getGasPrice();
-        } else {
-            gasPrice = Web3.utils.toWei('100', 'Gwei');
-        }
+    async prepareTransaction(contractName, functionName, args, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+        const contractInstance = await this.getContractInstance(contractName, blockchain);
+
+        const estimatedGas = await adapter.estimateGas(
+            contractInstance,
+            functionName,
+            args,
+            blockchain.publicKey,
+        );
+        const gasLimit = this.getGasLimit(estimatedGas, blockchain);
+
+        const encodedABI = adapter.encodeFunctionData(contractInstance, functionName, args);
+
+        const fees = await this.getFeeStrategy(blockchain).getFees(adapter, blockchain);
 
         return {
             from: blockchain.publicKey,
-            to: contractInstance.options.address,
+            to: await this.getContractAddress(contractName, blockchain),
             data: encodedABI,
-            gasPrice,
+            ...this.capTransactionFees(fees, blockchain),
             gas: gasLimit,
         };
     }
 
+    getGasLimit(estimatedGas, blockchain) {
+        return Math.ceil(
+            Number(estimatedGas) *
+                (blockchain.gasLimitMultiplier ?? TRANSACTION_OPTIONS.gasLimitMultiplier),
+        );
+    }
+
+    /**
+     * Simulates the transaction with eth_call and estimates its gas and fees, nothing is sent.
+     * @returns {Object} Estimated gas, gas limit, fees per gas and fee in wei, or the error if
+     * the simulation failed.
+     */
+    async estimateContractFunction(contractName, functionName, args, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+        const contractInstance = await this.getContractInstance(contractName, blockchain);
+        const from = await this.getPublicKey(blockchain);
+
+        try {
+            await adapter.callContractFunction(contractInstance, functionName, args, from);
+            const estimatedGas = await adapter.estimateGas(
+                contractInstance,
+                functionName,
+                args,
+                from,
+            );
+            const gasLimit = this.getGasLimit(estimatedGas, blockchain);
+            const fees = this.capTransactionFees(
+                await this.getFeeStrategy(blockchain).getFees(adapter, blockchain),
+                blockchain,
+            );
+            // for EIP-1559 transactions this is the upper bound, base fee may end up lower
+            const feePerGas = BigInt(fees.gasPrice ?? fees.maxFeePerGas);
+
+            return {
+                contractName,
+                functionName,
+                simulated: true,
+                estimatedGas,
+                gasLimit,
+                ...fees,
+                fee: (BigInt(estimatedGas) * feePerGas).toString(),
+                maxFee: (BigInt(gasLimit) * feePerGas).toString(),
+            };
+        } catch (error) {
+            return { contractName, functionName, simulated: false, error: error.message };
+        }
+    }
+
+    /**
+     * Estimates the allowance increase followed by the transaction that spends it. The second
+     * transaction can only be simulated if the current allowance already covers tokenAmount,
+     * since the allowance increase isn't applied on chain. With blockchain.reuseAllowance the
+     * increase is only estimated if the current allowance is lower than tokenAmount.
+     */
+    async estimateContractFunctionWithAllowance(
+        tokenAmount,
+        contractName,
+        functionName,
+        args,
+        blockchain,
+    ) {
+        const serviceAgreementV1Address = await this.getContractAddress(
+            'ServiceAgreementV1',
+            blockchain,
+        );
+        const allowance = await this.getServiceAgreementV1Allowance(blockchain);
+        if (blockchain.reuseAllowance && BigInt(allowance) >= BigInt(tokenAmount)) {
+            return [
+                await this.estimateContractFunction(contractName, functionName, args, blockchain),
+            ];
+        }
+
+        const increaseAllowanceEstimate = await this.estimateContractFunction(
+            'Token',
+            'increaseAllowance',
+            [
+                serviceAgreementV1Address,
+                blockchain.reuseAllowance
+                    ? (BigInt(tokenAmount) - BigInt(allowance)).toString()
+                    : tokenAmount,
+            ],
+            blockchain,
+        );
+
+        if (BigInt(allowance) < BigInt(tokenAmount)) {
+            return [
+                increaseAllowanceEstimate,
+                {
+                    contractName,
+                    functionName,
+                    simulated: false,
+                    error: `Unable to simulate before the allowance is increased, current allowance (${allowance}) is lower than the token amount (${tokenAmount}).`,
+                },
+            ];
+        }
+
+        return [
+            increaseAllowanceEstimate,
+            await this.estimateContractFunction(contractName, functionName, args, blockchain),
+        ];
+    }
+
+    /**
+     * Returns the fee strategy set by blockchain.feeStrategy, either a name of one of the built-in
+     * strategies or an object implementing getFees(adapter, blockchain). By default gas price
+     * is suggested by the RPC node on OriginTrail Parachain and fixed everywhere else.
+     */
+    getFeeStrategy(blockchain) {
+        const feeStrategy =
+            blockchain.feeStrategy ?? (blockchain.name.startsWith('otp') ? 'Legacy' : 'Fixed');
+
+        if (typeof feeStrategy === 'object') return feeStrategy;
+
+        if (!this.feeStrategies[feeStrategy]) {
+            const FeeStrategy = FeeStrategyInterface[feeStrategy];
+            if (!FeeStrategy) {
+                throw new ValidationError(
+                    `Unknown fee strategy: ${feeStrategy}, available fee strategies: ${Object.keys(
+                        FeeStrategyInterface,
+                    )}`,
+                );
+            }
+            this.feeStrategies[feeStrategy] = new FeeStrategy();
+        }
+
+        return this.feeStrategies[feeStrategy];
+    }
+
+    /**
+     * Limits the fees to blockchain.maxFeePerGas, if set.
+     */
+    capTransactionFees(fees, blockchain) {
+        if (blockchain.maxFeePerGas == null) return fees;
+
+        const cap = BigInt(blockchain.maxFeePerGas);
+        const min = (value) => (BigInt(value) < cap ? BigInt(value) : cap).toString();
+
+        if (fees.gasPrice != null) {
+            return { gasPrice: min(fees.gasPrice) };
+        }
+
+        return {
+            maxFeePerGas: min(fees.maxFeePerGas),
+            maxPriorityFeePerGas: min(fees.maxPriorityFeePerGas),
+        };
+    }
+
+    /**
+     * Sends the transaction and waits for its receipt.
+     * @param {Function} [onTransactionSent] - Awaited with the nonce and hash of the transaction
+     * and of every replacement, before its receipt is awaited.
+     */
+    async executeContractFunction(
+        contractName,
+        functionName,
+        args,
+        blockchain,
+        onTransactionSent = null,
+    ) {
+        const adapter = await this.getAdapter(blockchain);
+        const sender = { ...blockchain, publicKey: await this.getPublicKey(blockchain) };
+
+        const { tx, transactionHash } = await this.queueTransaction(sender, async () => {
+            const preparedTransaction = await this.prepareContractTransaction(
+                contractName,
+                functionName,
+                args,
+                sender,
+            );
+            preparedTransaction.chainId = await this.getChainId(sender);
+            preparedTransaction.nonce = await this.nonceManager.getNextNonce(sender, () =>
+                adapter.getTransactionCount(sender.publicKey, 'pending'),
+            );
+
+            try {
+                return {
+                    tx: preparedTransaction,
+                    transactionHash: await this.sendTransaction(preparedTransaction, sender),
+                };
+            } catch (error) {
+                this.nonceManager.resync(sender);
+                throw new BlockchainTransactionError(
+                    `Unable to send ${contractName}.${functionName} transaction: ${error.message}`,
+                    { cause: error },
+                );
+            }
+        });
+
+        if (onTransactionSent) await onTransactionSent({ nonce: tx.nonce, transactionHash });
+
+        return this.waitForTransactionReceipt(tx, transactionHash, sender, true, onTransactionSent);
+    }
+
+    /**
+     * Prepares the transaction, failures of the gas estimation are reported as transaction errors
+     * with the revert reason of the simulated call. Fails if the sender can't pay the max fee.
+     */
+    async prepareContractTransaction(contractName, functionName, args, blockchain) {
+        let preparedTransaction;
+        try {
+            preparedTransaction = await this.prepareTransaction(
+                contractName,
+                functionName,
+                args,
+                blockchain,
+            );
+        } catch (error) {
+            if (error instanceof DkgClientError) throw error;
+
+            let revertError = null;
+            try {
+                const adapter = await this.getAdapter(blockchain);
+                const contractInstance = await this.getContractInstance(contractName, blockchain);
+                revertError = await this.getRevertError(
+                    {
+                        from: blockchain.publicKey,
+                        to: await this.getContractAddress(contractName, blockchain),
+                        data: adapter.encodeFunctionData(contractInstance, functionName, args),
+                    },
+                    'latest',
+                    blockchain,
+                );
+            } catch (simulationError) {
+                // the original error is reported without the revert reason
+            }
+
+            throw this.createTransactionError(
+                `Unable to execute ${contractName}.${functionName}: ${error.message}`,
+                { revertError, cause: error },
+            );
+        }
+
+        const maxFee =
+            BigInt(preparedTransaction.gas) *
+            BigInt(preparedTransaction.gasPrice ?? preparedTransaction.maxFeePerGas ?? 0);
+        const balance = await this.getNativeBalance(preparedTransaction.from, blockchain);
+        if (BigInt(balance) < maxFee) {
+            throw new InsufficientBalanceError(
+                `Native token balance of ${preparedTransaction.from} (${balance}) is lower than the max fee of ${contractName}.${functionName} transaction (${maxFee}).`,
+                { balance, requiredAmount: maxFee },
+            );
+        }
+
+        return preparedTransaction;
+    }
+
+    /**
+     * Executes the transaction with eth_call at blockTag and decodes its revert data against the
+     * errors of all loaded ABIs.
+     * @returns {Promise<Object|null>} Name, signature and arguments of the error, null if the call
+     * succeeds or the revert data can't be decoded.
+     */
+    async getRevertError(tx, blockTag, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+        let revertData;
+        try {
+            revertData = await adapter.getRevertData(
+                { from: tx.from, to: tx.to, data: tx.data },
+                blockTag,
+            );
+        } catch (error) {
+            return null;
+        }
+
+        return this.decodeRevertData(revertData);
+    }
+
+    decodeRevertData(revertData) {
+        if (!revertData || revertData === '0x') return null;
+
+        let errorDescription;
+        try {
+            errorDescription = this.errorsInterface.parseError(revertData);
+        } catch (error) {
+            // malformed revert data, e.g. shorter than a selector or not hex
+            return null;
+        }
+        if (!errorDescription) return null;
+
+        const args = {};
+        errorDescription.fragment.inputs.forEach((input, index) => {
+            const value = errorDescription.args[index];
+            args[input.name || index] = typeof value === 'bigint' ? value.toString() : value;
+        });
+
+        return { name: errorDescription.name, signature: errorDescription.signature, args };
+    }
+
+    /**
+     * Returns the error reported for a failed transaction. Reverts caused by a too low token
+     * allowance or balance are reported as InsufficientAllowanceError or InsufficientBalanceError.
+     */
+    createTransactionError(message, { revertError, ...data }) {
+        if (!revertError) return new BlockchainTransactionError(message, data);
+
+        const revertReason =
+            revertError.name === 'Error'
+                ? revertError.args[0]
+                : `${revertError.name}(${Object.entries(revertError.args)
+                      .map(([name, value]) => (/^\d+$/.test(name) ? value : `${name}: ${value}`))
+                      .join(', ')})`;
+        const error = new BlockchainTransactionError(`${message} Reverted with: ${revertReason}`, {
+            ...data,
+            revertReason,
+            revertError,
+        });
+
+        if (revertError.name === 'TooLowAllowance') {
+            return new InsufficientAllowanceError(
+                `Allowance of ServiceAgreementV1 (${revertError.args.amount}) is too low.`,
+                { allowance: revertError.args.amount, cause: error },
+            );
+        }
+        if (revertError.name === 'TooLowBalance') {
+            return new InsufficientBalanceError(
+                `TRAC balance (${revertError.args.amount}) is too low.`,
+                { balance: revertError.args.amount, cause: error },
+            );
+        }
+
+        return error;
+    }
+
+    /**
+     * Signs and broadcasts the transaction.
+     * @returns {Promise<string>} Hash of the transaction, the receipt isn't awaited.
+     */
+    async sendTransaction(tx, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+        const rawTransaction = await this.getSigner(blockchain).signTransaction(tx);
+
+        return adapter.sendSignedTransaction(rawTransaction);
+    }
+
+    /**
+     * Waits until one of the sent transactions with the nonce of tx is mined. If that doesn't
+     * happen within blockchain.stuckTransactionTimeout, the transaction is replaced by the same
+     * one with higher fees, at most blockchain.maxTransactionReplacements times. Transactions
+     * sent through a wallet aren't replaced, the wallet is in charge of that.
+     */
+    async waitForTransactionReceipt(
+        tx,
+        transactionHash,
+        blockchain,
+        replaceStuckTransaction = true,
+        onTransactionSent = null,
+    ) {
+        const adapter = await this.getAdapter(blockchain);
+        const transactionHashes = [transactionHash];
+        let currentTransaction = tx;
+        let sentAt = Date.now();
+
+        // eslint-disable-next-line no-constant-condition
+        while (true) {
+            // eslint-disable-next-line no-await-in-loop
+            const receipts = await Promise.all(
+                transactionHashes.map((hash) => adapter.getTransactionReceipt(hash)),
+            );
+            const receipt = receipts.find((transactionReceipt) => transactionReceipt);
+
+            if (receipt) {
+                if (!receipt.status) {
+                    // replayed on the state the transaction was executed against
+                    // eslint-disable-next-line no-await-in-loop
+                    const revertError = await this.getRevertError(
+                        currentTransaction,
+                        Number(receipt.blockNumber) - 1,
+                        blockchain,
+                    );
+                    throw this.createTransactionError(
+                        `Transaction ${receipt.transactionHash} reverted.`,
+                        { receipt, revertError },
+                    );
+                }
+                return receipt;
+            }
+
+            if (Date.now() - sentAt >= blockchain.stuckTransactionTimeout) {
+                if (!replaceStuckTransaction) {
+                    throw new BlockchainTransactionError(
+                        `Transaction ${transactionHash} wasn't mined within ${blockchain.stuckTransactionTimeout}ms.`,
+                        { transactionHash },
+                    );
+                }
+                if (transactionHashes.length > blockchain.maxTransactionReplacements) {
+                    this.nonceManager.resync(blockchain);
+                    throw new BlockchainTransactionError(
+                        `Transaction with nonce ${tx.nonce} wasn't mined after ${blockchain.maxTransactionReplacements} fee increases.`,
+                        { transactionHash: transactionHashes[transactionHashes.length - 1] },
+                    );
+                }
+
+                currentTransaction = this.increaseTransactionFees(currentTransaction, blockchain);
+                let replacementHash = null;
+                try {
+                    // eslint-disable-next-line no-await-in-loop
+                    replacementHash = await this.sendTransaction(currentTransaction, blockchain);
+                } catch (error) {
+                    // most likely one of the sent transactions got mined in the meantime,
+                    // otherwise the next attempt is made with even higher fees
+                }
+                if (replacementHash) {
+                    transactionHashes.push(replacementHash);
+                    if (onTransactionSent) {
+                        // eslint-disable-next-line no-await-in-loop
+                        await onTransactionSent({
+                            nonce: tx.nonce,
+                            transactionHash: replacementHash,
+                        });
+                    }
+                }
+                sentAt = Date.now();
+            }
+
+            // eslint-disable-next-line no-await-in-loop
+            await sleepForMilliseconds(TRANSACTION_OPTIONS.receiptPollingInterval);
+        }
+    }
+
+    /**
+     * Returns the signer set by blockchain.signer, either an object with the type of one of the
+     * built-in signers and its options, an ethers Signer or an object implementing getAddress()
+     * and signTransaction(tx). Without it, transactions are signed with blockchain.privateKey.
+     */
+    getSigner(blockchain) {
+        const signer = blockchain.signer ?? blockchain.privateKey;
+
+        if (!this.signers.has(signer)) {
+            this.signers.set(signer, this.initializeSigner(signer));
+        }
+
+        return this.signers.get(signer);
+    }
+
+    initializeSigner(signer) {
+        if (signer == null) {
+            throw new ValidationError('Unable to sign the transaction, no signer is set.');
+        }
+        if (typeof signer === 'string')
+            return new SignerInterface.PrivateKey({ privateKey: signer });
+        if (signer instanceof ethers.AbstractSigner) return new SignerInterface.Ethers({ signer });
+        if (signer.type == null) return signer;
+
+        const Signer = SignerInterface[signer.type];
+        if (!Signer) {
+            throw new ValidationError(
+                `Unknown signer type: ${signer.type}, available signer types: ${Object.keys(
+                    SignerInterface,
+                )}`,
+            );
+        }
+
+        return new Signer(signer);
+    }
+
+    async getPublicKey(blockchain) {
+        return blockchain.publicKey ?? this.getSigner(blockchain).getAddress();
+    }
+
+    async getChainId(blockchain) {
+        this.ensureBlockchainInfo(blockchain);
+        if (this[blockchain.name].chainId == null) {
+            const adapter = await this.getAdapter(blockchain);
+            this[blockchain.name].chainId = await adapter.getChainId();
+        }
+
+        return this[blockchain.name].chainId;
+    }
+
+    /**
+     * Runs the task after all previously queued tasks of the same account are done, so that
+     * transactions of one account are prepared and sent one at a time.
+     */
+    async queueTransaction(blockchain, task) {
+        return this.queueTask(`${blockchain.name}:${blockchain.publicKey.toLowerCase()}`, task);
+    }
+
+    /**
+     * Runs the task after all previously queued tasks with the same key are done.
+     */
+    async queueTask(key, task) {
+        const previousTask = this.transactionQueues[key] ?? Promise.resolve();
+
+        const currentTask = previousTask.then(task);
+        // failure of one transaction shouldn't block the rest of the queue
+        const queueTail = currentTask.catch(() => {});
+        this.transactionQueues[key] = queueTail;
+        queueTail.then(() => {
+            if (this.transactionQueues[key] === queueTail) delete this.transactionQueues[key];
+        });
+
+        return currentTask;
+    }
+
+    /**
+     * Returns the transaction with fees increased enough for it to replace the pending
+     * transaction with the same nonce, but still within blockchain.maxFeePerGas.
+     */
+    increaseTransactionFees(tx, blockchain) {
+        const increase = (value) =>
+            (
+                (BigInt(value) * BigInt(100 + TRANSACTION_OPTIONS.feeBumpPercentage)) /
+                100n
+            ).toString();
+
+        const fees =
+            tx.gasPrice != null
+                ? { gasPrice: increase(tx.gasPrice) }
+                : {
+                      maxFeePerGas: increase(tx.maxFeePerGas),
+                      maxPriorityFeePerGas: increase(tx.maxPriorityFeePerGas),
+                  };
+
+        return { ...tx, ...this.capTransactionFees(fees, blockchain) };
+    }
+
     ensureBlockchainInfo(blockchain) {
         if (!this[blockchain.name]) {
             this[blockchain.name] = {
@@ -85,13 +895,13 @@ class BlockchainServiceBase {
         }
     }
 
-    async getWeb3Instance(blockchain) {
+    async getAdapter(blockchain) {
         this.ensureBlockchainInfo(blockchain);
-        if (!this[blockchain.name].web3) {
-            this.initializeWeb3(blockchain.name, blockchain.rpc);
+        if (!this[blockchain.name].adapter) {
+            this[blockchain.name].adapter = this.initializeAdapter(blockchain);
         }
 
-        return this[blockchain.name].web3;
+        return this[blockchain.name].adapter;
     }
 
     async getContractAddress(contractName, blockchain) {
@@ -100,14 +910,17 @@ class BlockchainServiceBase {
             this[blockchain.name].contracts[blockchain.hubContract] = {};
         }
         if (!this[blockchain.name].contracts[blockchain.hubContract].Hub) {
-            const web3Instance = await this.getWeb3Instance(blockchain);
-            this[blockchain.name].contracts[blockchain.hubContract].Hub =
-                new web3Instance.eth.Contract(this.abis.Hub, blockchain.hubContract);
+            const adapter = await this.getAdapter(blockchain);
+            this[blockchain.name].contracts[blockchain.hubContract].Hub = adapter.getContract(
+                this.abis.Hub,
+                blockchain.hubContract,
+            );
         }
 
+        // contracts read under quorum have to be resolved under quorum as well
         if (!this[blockchain.name].contractAddresses[blockchain.hubContract][contractName]) {
             this[blockchain.name].contractAddresses[blockchain.hubContract][contractName] =
-                await this.callContractFunction(
+                await this.callContractFunctionWithQuorum(
                     'Hub',
                     contractName.includes('AssetStorage')
                         ? 'getAssetStorageAddress'
@@ -126,9 +939,9 @@ class BlockchainServiceBase {
                 await this.getContractAddress(contractName, blockchain);
         }
         if (!this[blockchain.name].contracts[blockchain.hubContract][contractName]) {
-            const web3Instance = await this.getWeb3Instance(blockchain);
+            const adapter = await this.getAdapter(blockchain);
             this[blockchain.name].contracts[blockchain.hubContract][contractName] =
-                new web3Instance.eth.Contract(
+                adapter.getContract(
                     this.abis[contractName],
                     this[blockchain.name].contractAddresses[blockchain.hubContract][contractName],
                 );
@@ -137,52 +950,305 @@ class BlockchainServiceBase {
         return this[blockchain.name].contracts[blockchain.hubContract][contractName];
     }
 
+    /**
+     * Increases the allowance and mints the asset, the increase is reverted if minting fails.
+     * stepHooks.transactionSentHook, if set, is called with every sent mint transaction.
+     */
     async createAsset(requestData, blockchain, stepHooks = emptyHooks) {
-        const serviceAgreementV1Address = await this.getContractAddress(
-            'ServiceAgreementV1',
-            blockchain,
-        );
-
-        await this.executeContractFunction(
-            'Token',
-            'increaseAllowance',
-            [serviceAgreementV1Address, requestData.tokenAmount],
+        const increasedAmount = await this.prepareServiceAgreementV1Allowance(
+            requestData.tokenAmount,
             blockchain,
         );
 
-        stepHooks.afterHook({
+        await stepHooks.afterHook({
             status: OPERATIONS_STEP_STATUS.INCREASE_ALLOWANCE_COMPLETED,
+            data: { increasedAmount },
         });
 
+        let tokenId;
         try {
-            const receipt = await this.executeContractFunction(
-                'ContentAsset',
-                'createAsset',
-                [Object.values(requestData)],
-                blockchain,
+            tokenId = await this.mintAsset(requestData, blockchain, stepHooks.transactionSentHook);
+        } catch (e) {
+            if (BigInt(increasedAmount) > 0n) {
+                await this.decreaseServiceAgreementV1Allowance(increasedAmount, blockchain);
+                await stepHooks.afterHook({
+                    status: OPERATIONS_STEP_STATUS.DECREASE_ALLOWANCE_COMPLETED,
+                });
+            }
+            throw e;
+        } finally {
+            await this.releaseServiceAgreementV1Allowance(requestData.tokenAmount, blockchain);
+        }
+
+        await stepHooks.afterHook({
+            status: OPERATIONS_STEP_STATUS.CREATE_ASSET_COMPLETED,
+            data: { tokenId },
+        });
+
+        return tokenId;
+    }
+
+    /**
+     * Mints the asset, expects the allowance for requestData.tokenAmount to be already increased.
+     * @param {Function} [onTransactionSent] - Called with the nonce and hash of sent transactions.
+     * @returns {number} Id of the minted token, decoded from the AssetMinted event.
+     */
+    async mintAsset(requestData, blockchain, onTransactionSent = null) {
+        const allowance = await this.getServiceAgreementV1Allowance(blockchain);
+        if (BigInt(allowance) < BigInt(requestData.tokenAmount)) {
+            throw new InsufficientAllowanceError(
+                `Allowance of ServiceAgreementV1 (${allowance}) is lower than the token amount (${requestData.tokenAmount}).`,
+                { allowance, requiredAmount: requestData.tokenAmount },
             );
+        }
 
-            let { tokenId } = await this.decodeEventLogs(receipt, 'AssetMinted', blockchain);
+        const receipt = await this.executeContractFunction(
+            'ContentAsset',
+            'createAsset',
+            [Object.values(requestData)],
+            blockchain,
+            onTransactionSent,
+        );
 
-            tokenId = parseInt(tokenId, 10);
+        const { tokenId } = await this.decodeEventLogs(receipt, 'AssetMinted', blockchain);
 
-            stepHooks.afterHook({
-                status: OPERATIONS_STEP_STATUS.CREATE_ASSET_COMPLETED,
-                data: { tokenId },
-            });
+        return parseInt(tokenId, 10);
+    }
 
-            return tokenId;
-        } catch (e) {
-            await this.executeContractFunction(
-                'Token',
-                'decreaseAllowance',
-                [serviceAgreementV1Address, requestData.tokenAmount],
+    /**
+     * Checks the outcome of mint transactions sent earlier with the same nonce.
+     * @param {Object} transaction - Nonce and hashes of the sent transactions.
+     * @returns {Promise<number|null>} Id of the minted token, null if the asset wasn't minted
+     * because the transaction reverted or its nonce was used by another transaction.
+     */
+    async getMintedTokenId({ nonce, transactionHashes }, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+        const receipts = await Promise.all(
+            transactionHashes.map((hash) => adapter.getTransactionReceipt(hash)),
+        );
+        const receipt = receipts.find((transactionReceipt) => transactionReceipt);
+
+        if (receipt) {
+            if (!receipt.status) return null;
+
+            const { tokenId } = await this.decodeEventLogs(receipt, 'AssetMinted', blockchain);
+            return parseInt(tokenId, 10);
+        }
+
+        if (nonce != null) {
+            const minedNonce = await adapter.getTransactionCount(
+                await this.getPublicKey(blockchain),
+                'latest',
+            );
+            if (Number(minedNonce) > Number(nonce)) return null;
+        }
+
+        throw new BlockchainTransactionError(
+            `Mint transaction ${
+                transactionHashes[transactionHashes.length - 1]
+            } is still pending, resume once it's mined.`,
+            { transactionHash: transactionHashes[transactionHashes.length - 1] },
+        );
+    }
+
+    async getServiceAgreementV1Allowance(blockchain) {
+        return this.getTokenAllowance(
+            await this.getPublicKey(blockchain),
+            await this.getContractAddress('ServiceAgreementV1', blockchain),
+            blockchain,
+        );
+    }
+
+    async increaseServiceAgreementV1Allowance(tokenAmount, blockchain) {
+        return this.increaseTokenAllowance(
+            await this.getContractAddress('ServiceAgreementV1', blockchain),
+            tokenAmount,
+            blockchain,
+        );
+    }
+
+    async decreaseServiceAgreementV1Allowance(tokenAmount, blockchain) {
+        return this.decreaseTokenAllowance(
+            await this.getContractAddress('ServiceAgreementV1', blockchain),
+            tokenAmount,
+            blockchain,
+        );
+    }
+
+    /**
+     * Increases the allowance of ServiceAgreementV1 for a transaction spending tokenAmount. With
+     * blockchain.reuseAllowance the existing allowance is used, only the missing amount is added,
+     * and tokenAmount is reserved until releaseServiceAgreementV1Allowance is called once the
+     * transaction is mined or failed.
+     * @returns {Promise<string>} Amount the allowance was increased by.
+     */
+    async prepareServiceAgreementV1Allowance(tokenAmount, blockchain) {
+        if (blockchain.reuseAllowance) {
+            const { increasedAmount } = await this.ensureTokenAllowance(
+                await this.getContractAddress('ServiceAgreementV1', blockchain),
+                tokenAmount,
                 blockchain,
+                true,
             );
+
+            return increasedAmount;
+        }
+
+        await this.increaseServiceAgreementV1Allowance(tokenAmount, blockchain);
+
+        return tokenAmount.toString();
+    }
+
+    async releaseServiceAgreementV1Allowance(tokenAmount, blockchain) {
+        if (!blockchain.reuseAllowance) return;
+
+        await this.releaseTokenAllowance(
+            await this.getContractAddress('ServiceAgreementV1', blockchain),
+            tokenAmount,
+            blockchain,
+        );
+    }
+
+    /**
+     * Executes a transaction spending tokenAmount, the allowance increase made for it is reverted
+     * if the transaction fails.
+     */
+    async executeContractFunctionWithAllowance(
+        tokenAmount,
+        contractName,
+        functionName,
+        args,
+        blockchain,
+    ) {
+        const increasedAmount = await this.prepareServiceAgreementV1Allowance(
+            tokenAmount,
+            blockchain,
+        );
+
+        try {
+            return await this.executeContractFunction(contractName, functionName, args, blockchain);
+        } catch (e) {
+            if (BigInt(increasedAmount) > 0n) {
+                await this.decreaseServiceAgreementV1Allowance(increasedAmount, blockchain);
+            }
             throw e;
+        } finally {
+            await this.releaseServiceAgreementV1Allowance(tokenAmount, blockchain);
         }
     }
 
+    async getTokenBalance(address, blockchain) {
+        return (
+            await this.callContractFunction('Token', 'balanceOf', [address], blockchain)
+        ).toString();
+    }
+
+    async getTokenAllowance(owner, spender, blockchain) {
+        return (
+            await this.callContractFunction('Token', 'allowance', [owner, spender], blockchain)
+        ).toString();
+    }
+
+    async increaseTokenAllowance(spender, tokenAmount, blockchain) {
+        return this.executeContractFunction(
+            'Token',
+            'increaseAllowance',
+            [spender, tokenAmount],
+            blockchain,
+        );
+    }
+
+    async decreaseTokenAllowance(spender, tokenAmount, blockchain) {
+        return this.executeContractFunction(
+            'Token',
+            'decreaseAllowance',
+            [spender, tokenAmount],
+            blockchain,
+        );
+    }
+
+    /**
+     * Increases the allowance of spender by the amount missing to tokenAmount, if any. Allowance
+     * reserved for transactions that weren't mined yet isn't counted, so allowances of an account
+     * are checked and reserved one at a time.
+     * @param {boolean} [reserve=false] - Reserve tokenAmount until releaseTokenAllowance is called.
+     * @returns {Promise<Object>} Amount the allowance was increased by and the receipt of the
+     * transaction, null if the allowance was already sufficient.
+     */
+    async ensureTokenAllowance(spender, tokenAmount, blockchain, reserve = false) {
+        const owner = await this.getPublicKey(blockchain);
+        const key = this.getAllowanceKey(owner, spender, blockchain);
+
+        return this.queueTask(`allowance:${key}`, async () => {
+            const reservedAmount = this.allowanceReservations[key] ?? 0n;
+            const allowance = BigInt(await this.getTokenAllowance(owner, spender, blockchain));
+            const missingAmount = BigInt(tokenAmount) + reservedAmount - allowance;
+
+            let result = { increasedAmount: '0', receipt: null };
+            if (missingAmount > 0n) {
+                result = {
+                    increasedAmount: missingAmount.toString(),
+                    receipt: await this.increaseTokenAllowance(
+                        spender,
+                        missingAmount.toString(),
+                        blockchain,
+                    ),
+                };
+            }
+            if (reserve) this.allowanceReservations[key] = reservedAmount + BigInt(tokenAmount);
+
+            return result;
+        });
+    }
+
+    /**
+     * Decreases the allowance of spender, but not below the amount reserved for transactions that
+     * weren't mined yet, see ensureTokenAllowance.
+     */
+    async decreaseUnreservedTokenAllowance(spender, tokenAmount, blockchain) {
+        const owner = await this.getPublicKey(blockchain);
+        const key = this.getAllowanceKey(owner, spender, blockchain);
+
+        return this.queueTask(`allowance:${key}`, async () => {
+            const reservedAmount = this.allowanceReservations[key] ?? 0n;
+            if (reservedAmount > 0n) {
+                const allowance = BigInt(await this.getTokenAllowance(owner, spender, blockchain));
+                if (allowance - BigInt(tokenAmount) < reservedAmount) {
+                    throw new InsufficientAllowanceError(
+                        `Allowance of ${spender} (${allowance}) can't be decreased by ${tokenAmount}, ${reservedAmount} of it is reserved for pending transactions.`,
+                        { allowance, requiredAmount: reservedAmount },
+                    );
+                }
+            }
+
+            return this.decreaseTokenAllowance(spender, tokenAmount, blockchain);
+        });
+    }
+
+    async releaseTokenAllowance(spender, tokenAmount, blockchain) {
+        const key = this.getAllowanceKey(await this.getPublicKey(blockchain), spender, blockchain);
+
+        await this.queueTask(`allowance:${key}`, async () => {
+            const reservedAmount = (this.allowanceReservations[key] ?? 0n) - BigInt(tokenAmount);
+            if (reservedAmount > 0n) this.allowanceReservations[key] = reservedAmount;
+            else delete this.allowanceReservations[key];
+        });
+    }
+
+    getAllowanceKey(owner, spender, blockchain) {
+        return `${blockchain.name}:${owner.toLowerCase()}:${spender.toLowerCase()}`;
+    }
+
+    async transferTokens(to, tokenAmount, blockchain) {
+        return this.executeContractFunction('Token', 'transfer', [to, tokenAmount], blockchain);
+    }
+
+    async getNativeBalance(address, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+
+        return adapter.getBalance(address);
+    }
+
     async updateAsset(
         tokenId,
         publicAssertionId,
@@ -192,41 +1258,41 @@ class BlockchainServiceBase {
         tokenAmount,
         blockchain,
     ) {
-        const serviceAgreementV1Address = await this.getContractAddress(
-            'ServiceAgreementV1',
+        return this.executeContractFunctionWithAllowance(
+            tokenAmount,
+            'ContentAsset',
+            'updateAssetState',
+            [tokenId, publicAssertionId, assertionSize, triplesNumber, chunksNumber, tokenAmount],
             blockchain,
         );
+    }
 
-        await this.executeContractFunction(
-            'Token',
-            'increaseAllowance',
-            [serviceAgreementV1Address, tokenAmount],
+    async estimateCreateAsset(requestData, blockchain) {
+        return this.estimateContractFunctionWithAllowance(
+            requestData.tokenAmount,
+            'ContentAsset',
+            'createAsset',
+            [Object.values(requestData)],
             blockchain,
         );
+    }
 
-        try {
-            return this.executeContractFunction(
-                'ContentAsset',
-                'updateAssetState',
-                [
-                    tokenId,
-                    publicAssertionId,
-                    assertionSize,
-                    triplesNumber,
-                    chunksNumber,
-                    tokenAmount,
-                ],
-                blockchain,
-            );
-        } catch (e) {
-            await this.executeContractFunction(
-                'Token',
-                'decreaseAllowance',
-                [serviceAgreementV1Address, tokenAmount],
-                blockchain,
-            );
-            throw e;
-        }
+    async estimateUpdateAsset(
+        tokenId,
+        publicAssertionId,
+        assertionSize,
+        triplesNumber,
+        chunksNumber,
+        tokenAmount,
+        blockchain,
+    ) {
+        return this.estimateContractFunctionWithAllowance(
+            tokenAmount,
+            'ContentAsset',
+            'updateAssetState',
+            [tokenId, publicAssertionId, assertionSize, triplesNumber, chunksNumber, tokenAmount],
+            blockchain,
+        );
     }
 
     async hasPendingUpdate(tokenId, blockchain) {
@@ -248,7 +1314,7 @@ class BlockchainServiceBase {
     }
 
     async getLatestAssertionId(tokenId, blockchain) {
-        return this.callContractFunction(
+        return this.callContractFunctionWithQuorum(
             'ContentAssetStorage',
             'getLatestAssertionId',
             [tokenId],
@@ -257,7 +1323,7 @@ class BlockchainServiceBase {
     }
 
     async getUnfinalizedState(tokenId, blockchain) {
-        return this.callContractFunction(
+        return this.callContractFunctionWithQuorum(
             'UnfinalizedStateStorage',
             'getUnfinalizedState',
             [tokenId],
@@ -269,105 +1335,139 @@ class BlockchainServiceBase {
         return this.callContractFunction('ContentAssetStorage', 'ownerOf', [tokenId], blockchain);
     }
 
+    async isAssetStorageEnumerable(blockchain) {
+        return this.callContractFunction(
+            'ContentAssetStorage',
+            'supportsInterface',
+            [ERC721_ENUMERABLE_INTERFACE_ID],
+            blockchain,
+        );
+    }
+
+    async getAssetBalance(owner, blockchain) {
+        const balance = await this.callContractFunction(
+            'ContentAssetStorage',
+            'balanceOf',
+            [owner],
+            blockchain,
+        );
+
+        return Number(balance);
+    }
+
+    async getAssetOfOwnerByIndex(owner, index, blockchain) {
+        const tokenId = await this.callContractFunction(
+            'ContentAssetStorage',
+            'tokenOfOwnerByIndex',
+            [owner, index],
+            blockchain,
+        );
+
+        return Number(tokenId);
+    }
+
+    async isAssetMutable(tokenId, blockchain) {
+        return this.callContractFunction('ContentAssetStorage', 'isMutable', [tokenId], blockchain);
+    }
+
     async burnAsset(tokenId, blockchain) {
         return this.executeContractFunction('ContentAsset', 'burnAsset', [tokenId], blockchain);
     }
 
     async extendAssetStoringPeriod(tokenId, epochsNumber, tokenAmount, blockchain) {
-        const serviceAgreementV1Address = await this.getContractAddress(
-            'ServiceAgreementV1',
+        return this.executeContractFunctionWithAllowance(
+            tokenAmount,
+            'ContentAsset',
+            'extendAssetStoringPeriod',
+            [tokenId, epochsNumber, tokenAmount],
             blockchain,
         );
+    }
 
-        await this.executeContractFunction(
-            'Token',
-            'increaseAllowance',
-            [serviceAgreementV1Address, tokenAmount],
+    /**
+     * Extends the storing period, expects the allowance for tokenAmount to be already increased.
+     */
+    async extendAssetStoringPeriodWithinAllowance(tokenId, epochsNumber, tokenAmount, blockchain) {
+        return this.executeContractFunction(
+            'ContentAsset',
+            'extendAssetStoringPeriod',
+            [tokenId, epochsNumber, tokenAmount],
             blockchain,
         );
+    }
 
-        try {
-            return this.executeContractFunction(
-                'ContentAsset',
-                'extendAssetStoringPeriod',
-                [tokenId, epochsNumber, tokenAmount],
-                blockchain,
-            );
-        } catch (e) {
-            await this.executeContractFunction(
-                'Token',
-                'decreaseAllowance',
-                [serviceAgreementV1Address, tokenAmount],
-                blockchain,
-            );
-            throw e;
-        }
+    async estimateExtendAssetStoringPeriod(tokenId, epochsNumber, tokenAmount, blockchain) {
+        return this.estimateContractFunctionWithAllowance(
+            tokenAmount,
+            'ContentAsset',
+            'extendAssetStoringPeriod',
+            [tokenId, epochsNumber, tokenAmount],
+            blockchain,
+        );
     }
 
     async addTokens(tokenId, tokenAmount, blockchain) {
-        const serviceAgreementV1Address = await this.getContractAddress(
-            'ServiceAgreementV1',
+        return this.executeContractFunctionWithAllowance(
+            tokenAmount,
+            'ContentAsset',
+            'increaseAssetTokenAmount',
+            [tokenId, tokenAmount],
             blockchain,
         );
+    }
 
-        await this.executeContractFunction(
-            'Token',
-            'increaseAllowance',
-            [serviceAgreementV1Address, tokenAmount],
+    async estimateAddTokens(tokenId, tokenAmount, blockchain) {
+        return this.estimateContractFunctionWithAllowance(
+            tokenAmount,
+            'ContentAsset',
+            'increaseAssetTokenAmount',
+            [tokenId, tokenAmount],
             blockchain,
         );
-
-        try {
-            return this.executeContractFunction(
-                'ContentAsset',
-                'increaseAssetTokenAmount',
-                [tokenId, tokenAmount],
-                blockchain,
-            );
-        } catch (e) {
-            await this.executeContractFunction(
-                'Token',
-                'decreaseAllowance',
-                [serviceAgreementV1Address, tokenAmount],
-                blockchain,
-            );
-            throw e;
-        }
     }
 
     async addUpdateTokens(tokenId, tokenAmount, blockchain) {
-        const serviceAgreementV1Address = await this.getContractAddress(
-            'ServiceAgreementV1',
+        return this.executeContractFunctionWithAllowance(
+            tokenAmount,
+            'ContentAsset',
+            'increaseAssetUpdateTokenAmount',
+            [tokenId, tokenAmount],
             blockchain,
         );
+    }
 
-        await this.executeContractFunction(
-            'Token',
-            'increaseAllowance',
-            [serviceAgreementV1Address, tokenAmount],
+    async estimateAddUpdateTokens(tokenId, tokenAmount, blockchain) {
+        return this.estimateContractFunctionWithAllowance(
+            tokenAmount,
+            'ContentAsset',
+            'increaseAssetUpdateTokenAmount',
+            [tokenId, tokenAmount],
             blockchain,
         );
+    }
 
-        try {
-            return this.executeContractFunction(
-                'ContentAsset',
-                'increaseAssetUpdateTokenAmount',
-                [tokenId, tokenAmount],
-                blockchain,
-            );
-        } catch (e) {
-            await this.executeContractFunction(
-                'Token',
-                'decreaseAllowance',
-                [serviceAgreementV1Address, tokenAmount],
+    async estimateTransferAsset(tokenId, to, blockchain) {
+        return [
+            await this.estimateContractFunction(
+                'ContentAssetStorage',
+                'transferFrom',
+                [await this.getPublicKey(blockchain), to, tokenId],
                 blockchain,
-            );
-            throw e;
-        }
+            ),
+        ];
+    }
+
+    async transferAsset(tokenId, to, blockchain) {
+        return this.executeContractFunction(
+            'ContentAssetStorage',
+            'transferFrom',
+            [await this.getPublicKey(blockchain), to, tokenId],
+            blockchain,
+        );
     }
 
     async getAssertionIdByIndex(tokenId, index, blockchain) {
-        return this.callContractFunction(
+        return this.callContractFunctionWithQuorum(
             'ContentAssetStorage',
             'getAssertionIdByIndex',
             [tokenId, index],
@@ -375,6 +1475,17 @@ class BlockchainServiceBase {
         );
     }
 
+    async getAssertionIdsLength(tokenId, blockchain) {
+        const assertionIdsLength = await this.callContractFunction(
+            'ContentAssetStorage',
+            'getAssertionIdsLength',
+            [tokenId],
+            blockchain,
+        );
+
+        return Number(assertionIdsLength);
+    }
+
     async getAgreementData(agreementId, blockchain) {
         const result = await this.callContractFunction(
             'ServiceAgreementStorageProxy',
@@ -387,20 +1498,33 @@ class BlockchainServiceBase {
             startTime: Number(result['0']),
             epochsNumber: Number(result['1']),
             epochLength: Number(result['2']),
-            tokenAmount: result['3'][0],
-            addedTokenAmount: result['3'][1],
-            scoreFunctionId: result['4'][0],
-            proofWindowOffsetPerc: result['4'][1],
+            tokenAmount: result['3'][0].toString(),
+            addedTokenAmount: result['3'][1].toString(),
+            scoreFunctionId: Number(result['4'][0]),
+            proofWindowOffsetPerc: Number(result['4'][1]),
         };
     }
 
+    /**
+     * Derives the id of the service agreement created together with the asset, the first
+     * assertion id is fetched if not provided.
+     */
+    async getAgreementId(contract, tokenId, blockchain, firstAssertionId = null) {
+        const assertionId =
+            firstAssertionId ?? (await this.getAssertionIdByIndex(tokenId, 0, blockchain));
+
+        return deriveAgreementId(contract, tokenId, assertionId);
+    }
+
     async getAssertionSize(assertionId, blockchain) {
-        return this.callContractFunction(
+        const assertionSize = await this.callContractFunction(
             'AssertionStorage',
             'getAssertionSize',
             [assertionId],
             blockchain,
         );
+
+        return Number(assertionSize);
     }
 
     async getBlockchainTimestamp(blockchain) {
@@ -411,14 +1535,32 @@ class BlockchainServiceBase {
     }
 
     async getLatestBlock(blockchain) {
-        const web3 = await this.getWeb3Instance(blockchain);
-        const blockNumber = await web3.eth.getBlockNumber();
+        const adapter = await this.getAdapter(blockchain);
+        const blockNumber = await adapter.getBlockNumber();
+
+        return adapter.getBlock(blockNumber);
+    }
+
+    async getBlockNumber(blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+
+        return adapter.getBlockNumber();
+    }
+
+    async getTransaction(transactionHash, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
+
+        return adapter.getTransaction(transactionHash);
+    }
+
+    async getBlock(blockNumber, blockchain) {
+        const adapter = await this.getAdapter(blockchain);
 
-        return web3.eth.getBlock(blockNumber);
+        return adapter.getBlock(blockNumber);
     }
 
     convertToWei(ether) {
-        return Web3.utils.toWei(ether.toString(), 'ether');
+        return ethers.parseEther(ether.toString()).toString();
     }
 }
 module.exports = BlockchainServiceBase;
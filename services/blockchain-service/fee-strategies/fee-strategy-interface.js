@@ -0,0 +1,9 @@
+const LegacyFeeStrategy = require('./implementations/legacy-fee-strategy.js');
+const Eip1559FeeStrategy = require('./implementations/eip1559-fee-strategy.js');
+const FixedFeeStrategy = require('./implementations/fixed-fee-strategy.js');
+
+module.exports = {
+    Legacy: LegacyFeeStrategy,
+    EIP1559: Eip1559FeeStrategy,
+    Fixed: FixedFeeStrategy,
+};
@@ -0,0 +1,29 @@
+const { TRANSACTION_OPTIONS } = require('../../../../constants.js');
+
+/**
+ * EIP-1559 (type 2) transactions. The priority fee is the average of the rewards paid in recent
+ * blocks at blockchain.priorityFeePercentile, while the max fee leaves room for the base fee to
+ * double before the transaction is mined.
+ */
+class Eip1559FeeStrategy {
+    async getFees(adapter, blockchain) {
+        const feeHistory = await adapter.getFeeHistory(
+            TRANSACTION_OPTIONS.feeHistoryBlockCount,
+            'latest',
+            [blockchain.priorityFeePercentile],
+        );
+
+        // last base fee in the history is the one of the next block
+        const nextBaseFee = BigInt(feeHistory.baseFeePerGas[feeHistory.baseFeePerGas.length - 1]);
+        const rewards = feeHistory.reward.map(([reward]) => BigInt(reward));
+        const maxPriorityFeePerGas = rewards.length
+            ? rewards.reduce((sum, reward) => sum + reward, 0n) / BigInt(rewards.length)
+            : 0n;
+
+        return {
+            maxFeePerGas: (2n * nextBaseFee + maxPriorityFeePerGas).toString(),
+            maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+        };
+    }
+}
+module.exports = Eip1559FeeStrategy;
@@ -0,0 +1,11 @@
+const { ethers } = require('ethers');
+
+/**
+ * Legacy (type 0) transactions with a constant gas price, blockchain.gasPrice in wei or 100 Gwei.
+ */
+class FixedFeeStrategy {
+    async getFees(adapter, blockchain) {
+        return { gasPrice: (blockchain.gasPrice ?? ethers.parseUnits('100', 'gwei')).toString() };
+    }
+}
+module.exports = FixedFeeStrategy;
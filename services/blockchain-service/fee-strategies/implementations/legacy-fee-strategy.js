@@ -0,0 +1,9 @@
+/**
+ * Legacy (type 0) transactions priced with the gas price suggested by the RPC node.
+ */
+class LegacyFeeStrategy {
+    async getFees(adapter) {
+        return { gasPrice: await adapter.getGasPrice() };
+    }
+}
+module.exports = LegacyFeeStrategy;
@@ -1,6 +1,5 @@
-const Web3 = require('web3');
 const BlockchainServiceBase = require('../blockchain-service-base.js');
-const { WEBSOCKET_PROVIDER_OPTIONS } = require('../../../constants.js');
+const { BlockchainTransactionError, ValidationError } = require('../../../errors.js');
 
 class BrowserBlockchainService extends BlockchainServiceBase {
     constructor(config = {}) {
@@ -8,40 +7,76 @@ class BrowserBlockchainService extends BlockchainServiceBase {
         this.config = config;
     }
 
-    initializeWeb3(blockchainName, blockchainRpc) {
-        if (typeof window.Web3 === 'undefined' || !window.Web3) {
-            this.logger.error(
-                'No web3 implementation injected, please inject your own Web3 implementation.',
-            );
-            return;
+    getDefaultAdapter() {
+        // web3.js isn't bundled, ethers is
+        return 'Ethers';
+    }
+
+    initializeAdapter(blockchain) {
+        // transactions and reads go through the wallet when there is one
+        if (!window.ethereum && Array.isArray(blockchain.rpc)) {
+            return this.initializeFallbackAdapter(blockchain);
         }
-        if (window.ethereum) {
-            this[blockchainName].web3 = new window.Web3(window.ethereum);
-        } else if (blockchainRpc.startsWith('ws')) {
-            const provider = new window.Web3.providers.WebsocketProvider(
-                blockchainRpc,
-                WEBSOCKET_PROVIDER_OPTIONS,
+
+        const Adapter = this.getAdapterImplementation();
+
+        return new Adapter({ rpc: blockchain.rpc, injectedProvider: window.ethereum });
+    }
+
+    async executeContractFunction(
+        contractName,
+        functionName,
+        args,
+        blockchain,
+        onTransactionSent = null,
+    ) {
+        if (blockchain.signer) {
+            return super.executeContractFunction(
+                contractName,
+                functionName,
+                args,
+                blockchain,
+                onTransactionSent,
             );
-            this[blockchainName].web3 = new Web3(provider);
-        } else {
-            this[blockchainName].web3 = new window.Web3(blockchainRpc);
         }
-    }
 
-    async executeContractFunction(contractName, functionName, args, blockchain) {
-        const contractInstance = await this.getContractInstance(contractName, blockchain);
-        const tx = await this.prepareTransaction(contractInstance, functionName, args, {
-            name: blockchain.name,
-            publicKey: await this.getAccount(),
+        const adapter = await this.getAdapter(blockchain);
+        const account = { ...blockchain, publicKey: await this.getAccount() };
+
+        // the wallet assigns nonces and handles replacements, only sending is serialized
+        const { tx, transactionHash } = await this.queueTransaction(account, async () => {
+            const preparedTransaction = await this.prepareContractTransaction(
+                contractName,
+                functionName,
+                args,
+                account,
+            );
+
+            try {
+                return {
+                    tx: preparedTransaction,
+                    transactionHash: await adapter.sendTransaction(preparedTransaction),
+                };
+            } catch (error) {
+                throw new BlockchainTransactionError(
+                    `Unable to send ${contractName}.${functionName} transaction: ${error.message}`,
+                    { cause: error },
+                );
+            }
         });
 
-        return contractInstance.methods[functionName](...args).send(tx);
+        // nonces assigned by the wallet aren't known
+        if (onTransactionSent) await onTransactionSent({ nonce: null, transactionHash });
+
+        return this.waitForTransactionReceipt(tx, transactionHash, account, false);
     }
 
     async getAccount() {
         if (!this.account) {
             if (!window.ethereum) {
-                throw Error('This operation can be performed only by using Metamask accounts.');
+                throw new ValidationError(
+                    'This operation can be performed only by using Metamask accounts.',
+                );
             }
             const accounts = await window.ethereum
                 .request({
@@ -54,17 +89,10 @@ class BrowserBlockchainService extends BlockchainServiceBase {
         return this.account;
     }
 
-    async decodeEventLogs(receipt, eventName) {
-        return receipt.events[eventName].returnValues;
-    }
+    async getPublicKey(blockchain) {
+        if (blockchain.signer) return super.getPublicKey(blockchain);
 
-    async transferAsset(tokenId, to, blockchain) {
-        return this.executeContractFunction(
-            'ContentAssetStorage',
-            'transferFrom',
-            [await this.getAccount(), to, tokenId],
-            blockchain,
-        );
+        return this.getAccount();
     }
 }
 module.exports = BrowserBlockchainService;
@@ -0,0 +1,32 @@
+/**
+ * Keeps track of the next nonce of every account, so that transactions sent from the same
+ * account in quick succession never reuse a nonce. The local value is always compared with
+ * the pending transaction count, transactions sent from elsewhere are taken into account too.
+ */
+class NonceManager {
+    constructor() {
+        this.nonces = {};
+    }
+
+    async getNextNonce(blockchain, getPendingTransactionCount) {
+        const key = this.getKey(blockchain);
+        const pendingTransactionCount = Number(await getPendingTransactionCount());
+
+        const nonce = Math.max(this.nonces[key] ?? 0, pendingTransactionCount);
+        this.nonces[key] = nonce + 1;
+
+        return nonce;
+    }
+
+    /**
+     * Forgets the locally tracked nonce, the next one is read from the pending transaction count.
+     */
+    resync(blockchain) {
+        delete this.nonces[this.getKey(blockchain)];
+    }
+
+    getKey(blockchain) {
+        return `${blockchain.name}:${blockchain.publicKey.toLowerCase()}`;
+    }
+}
+module.exports = NonceManager;
@@ -0,0 +1,27 @@
+const { toEthersTransactionRequest } = require('../../../utilities.js');
+
+/**
+ * Signs transactions with an ethers v6 Signer instance, e.g. a Wallet or a hardware wallet
+ * integration. The signer doesn't have to be connected to a provider.
+ */
+class EthersSigner {
+    constructor({ signer }) {
+        this.signer = signer;
+    }
+
+    async getWallet() {
+        return this.signer;
+    }
+
+    async getAddress() {
+        const wallet = await this.getWallet();
+        return wallet.getAddress();
+    }
+
+    async signTransaction(tx) {
+        const wallet = await this.getWallet();
+
+        return wallet.signTransaction(toEthersTransactionRequest(tx));
+    }
+}
+module.exports = EthersSigner;
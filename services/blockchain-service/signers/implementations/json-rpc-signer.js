@@ -0,0 +1,63 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+
+/**
+ * Delegates signing to a remote signer exposing a JSON-RPC API, such as Clef or Web3Signer,
+ * so that the key never leaves it. Clef signs with account_signTransaction, other signers
+ * usually with eth_signTransaction.
+ */
+class JsonRpcSigner {
+    constructor({ url, address, method = 'eth_signTransaction', headers = {} }) {
+        this.url = url;
+        this.address = address;
+        this.method = method;
+        this.headers = headers;
+        this.requestCounter = 0;
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            [this.address] = await this.request('eth_accounts', []);
+        }
+
+        return this.address;
+    }
+
+    async signTransaction(tx) {
+        const toQuantity = (value) => (value != null ? ethers.toQuantity(value) : undefined);
+
+        const result = await this.request(this.method, [
+            {
+                from: await this.getAddress(),
+                to: tx.to,
+                data: tx.data,
+                value: toQuantity(tx.value ?? 0),
+                nonce: toQuantity(tx.nonce),
+                chainId: toQuantity(tx.chainId),
+                gas: toQuantity(tx.gas),
+                gasPrice: toQuantity(tx.gasPrice),
+                maxFeePerGas: toQuantity(tx.maxFeePerGas),
+                maxPriorityFeePerGas: toQuantity(tx.maxPriorityFeePerGas),
+            },
+        ]);
+
+        // Clef returns the raw transaction together with the decoded one
+        return typeof result === 'string' ? result : result.raw;
+    }
+
+    async request(method, params) {
+        this.requestCounter += 1;
+
+        const response = await axios.post(
+            this.url,
+            { jsonrpc: '2.0', id: this.requestCounter, method, params },
+            { headers: this.headers },
+        );
+        if (response.data.error) {
+            throw Error(`Remote signer error: ${response.data.error.message}`);
+        }
+
+        return response.data.result;
+    }
+}
+module.exports = JsonRpcSigner;
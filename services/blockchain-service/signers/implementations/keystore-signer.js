@@ -0,0 +1,29 @@
+const { ethers } = require('ethers');
+const EthersSigner = require('./ethers-signer.js');
+
+/**
+ * Signs transactions with the key from an encrypted JSON keystore (V3). The keystore is
+ * decrypted on first use, since that takes a while.
+ */
+class KeystoreSigner extends EthersSigner {
+    constructor({ keystore, password }) {
+        super({ signer: null });
+        this.keystore = typeof keystore === 'string' ? keystore : JSON.stringify(keystore);
+        this.password = password;
+    }
+
+    async getWallet() {
+        if (!this.signer) {
+            this.signer = ethers.Wallet.fromEncryptedJson(this.keystore, this.password).catch(
+                (error) => {
+                    // decrypted again on the next call instead of failing for good
+                    this.signer = null;
+                    throw error;
+                },
+            );
+        }
+
+        return this.signer;
+    }
+}
+module.exports = KeystoreSigner;
@@ -0,0 +1,15 @@
+const { ethers } = require('ethers');
+const EthersSigner = require('./ethers-signer.js');
+
+/**
+ * Signs transactions with the key derived from a BIP-39 mnemonic, by default from the first
+ * account of the standard Ethereum derivation path.
+ */
+class MnemonicSigner extends EthersSigner {
+    constructor({ mnemonic, password, path }) {
+        super({
+            signer: ethers.HDNodeWallet.fromPhrase(mnemonic, password, path ?? ethers.defaultPath),
+        });
+    }
+}
+module.exports = MnemonicSigner;
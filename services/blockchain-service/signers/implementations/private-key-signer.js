@@ -0,0 +1,9 @@
+const { ethers } = require('ethers');
+const EthersSigner = require('./ethers-signer.js');
+
+class PrivateKeySigner extends EthersSigner {
+    constructor({ privateKey }) {
+        super({ signer: new ethers.Wallet(privateKey) });
+    }
+}
+module.exports = PrivateKeySigner;
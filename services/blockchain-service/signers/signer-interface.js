@@ -0,0 +1,13 @@
+const PrivateKeySigner = require('./implementations/private-key-signer.js');
+const KeystoreSigner = require('./implementations/keystore-signer.js');
+const MnemonicSigner = require('./implementations/mnemonic-signer.js');
+const EthersSigner = require('./implementations/ethers-signer.js');
+const JsonRpcSigner = require('./implementations/json-rpc-signer.js');
+
+module.exports = {
+    PrivateKey: PrivateKeySigner,
+    Keystore: KeystoreSigner,
+    Mnemonic: MnemonicSigner,
+    Ethers: EthersSigner,
+    JsonRpc: JsonRpcSigner,
+};
@@ -1,4 +1,9 @@
-const { DEFAULT_PARAMETERS, BLOCKCHAINS } = require('../constants');
+const {
+    DEFAULT_PARAMETERS,
+    BLOCKCHAINS,
+    TRANSACTION_OPTIONS,
+    LOG_OPTIONS,
+} = require('../constants');
 
 class InputService {
     constructor(config = {}) {
@@ -18,6 +23,14 @@ class InputService {
             immutable: this.getImmutable(options),
             tokenAmount: this.getTokenAmount(options),
             authToken: this.getAuthToken(options),
+            dryRun: this.getDryRun(options),
+        };
+    }
+
+    getAssetCreateManyArguments(options) {
+        return {
+            ...this.getAssetCreateArguments(options),
+            concurrency: this.getConcurrency(options),
         };
     }
 
@@ -34,6 +47,10 @@ class InputService {
             outputFormat: this.getOutputFormat(options),
             authToken: this.getAuthToken(options),
             hashFunctionId: this.getHashFunctionId(options),
+            stateIndex: this.getStateIndex(options),
+            assertionId: this.getAssertionId(options),
+            atTimestamp: this.getAtTimestamp(options),
+            fromBlock: this.getFromBlock(options),
         };
     }
 
@@ -48,6 +65,42 @@ class InputService {
             scoreFunctionId: this.getScoreFunctionId(options),
             tokenAmount: this.getTokenAmount(options),
             authToken: this.getAuthToken(options),
+            dryRun: this.getDryRun(options),
+        };
+    }
+
+    getAssetPlanRenewalsArguments(options) {
+        return {
+            blockchain: this.getBlockchain(options),
+            endpoint: this.getEndpoint(options),
+            port: this.getPort(options),
+            authToken: this.getAuthToken(options),
+            hashFunctionId: this.getHashFunctionId(options),
+            horizonEpochs: this.getHorizonEpochs(options),
+            epochsNum: this.getEpochsNum(options),
+            budget: this.getBudget(options),
+            concurrency: this.getConcurrency(options),
+        };
+    }
+
+    getAssetListOwnedArguments(options) {
+        return {
+            blockchain: this.getBlockchain(options),
+            fromBlock: this.getFromBlock(options),
+            confirmations: this.getConfirmations(options),
+            enrich: this.getEnrich(options),
+            concurrency: this.getConcurrency(options),
+        };
+    }
+
+    getEventsArguments(options) {
+        return {
+            blockchain: this.getBlockchain(options),
+            frequency: this.getFrequency(options),
+            confirmations: this.getConfirmations(options),
+            fromBlock: this.getFromBlock(options),
+            toBlock: this.getToBlock(options),
+            concurrency: this.getConcurrency(options),
         };
     }
 
@@ -63,6 +116,25 @@ class InputService {
         };
     }
 
+    getOperationTrackingArguments(options) {
+        return {
+            backoffFactor: this.getBackoffFactor(options),
+            maxFrequency: this.getMaxFrequency(options),
+            jitter: this.getJitter(options),
+            operationTimeout: this.getOperationTimeout(options),
+            signal: this.getSignal(options),
+            requestOptions: this.getRequestOptions(options),
+        };
+    }
+
+    getRequestOptions(options) {
+        return {
+            timeout: this.getRequestTimeout(options),
+            retries: this.getRequestRetries(options),
+            signal: this.getSignal(options),
+        };
+    }
+
     getBlockchain(options) {
         const name = options.blockchain?.name ?? this.config.blockchain?.name ?? null;
         const rpc =
@@ -75,6 +147,37 @@ class InputService {
             options.blockchain?.publicKey ?? this.config.blockchain?.publicKey ?? null;
         const privateKey =
             options.blockchain?.privateKey ?? this.config.blockchain?.privateKey ?? null;
+        const signer = options.blockchain?.signer ?? this.config.blockchain?.signer ?? null;
+        const stuckTransactionTimeout =
+            options.blockchain?.stuckTransactionTimeout ??
+            this.config.blockchain?.stuckTransactionTimeout ??
+            TRANSACTION_OPTIONS.stuckTransactionTimeout;
+        const maxTransactionReplacements =
+            options.blockchain?.maxTransactionReplacements ??
+            this.config.blockchain?.maxTransactionReplacements ??
+            TRANSACTION_OPTIONS.maxReplacements;
+        const feeStrategy =
+            options.blockchain?.feeStrategy ?? this.config.blockchain?.feeStrategy ?? null;
+        const gasPrice = options.blockchain?.gasPrice ?? this.config.blockchain?.gasPrice ?? null;
+        const maxFeePerGas =
+            options.blockchain?.maxFeePerGas ?? this.config.blockchain?.maxFeePerGas ?? null;
+        const priorityFeePercentile =
+            options.blockchain?.priorityFeePercentile ??
+            this.config.blockchain?.priorityFeePercentile ??
+            TRANSACTION_OPTIONS.priorityFeePercentile;
+        const gasLimitMultiplier =
+            options.blockchain?.gasLimitMultiplier ??
+            this.config.blockchain?.gasLimitMultiplier ??
+            TRANSACTION_OPTIONS.gasLimitMultiplier;
+        const reuseAllowance =
+            options.blockchain?.reuseAllowance ??
+            this.config.blockchain?.reuseAllowance ??
+            TRANSACTION_OPTIONS.reuseAllowance;
+        const quorum = options.blockchain?.quorum ?? this.config.blockchain?.quorum ?? null;
+        const logBlockRange =
+            options.blockchain?.logBlockRange ??
+            this.config.blockchain?.logBlockRange ??
+            LOG_OPTIONS.blockRange;
 
         return {
             name,
@@ -82,6 +185,17 @@ class InputService {
             hubContract,
             publicKey,
             privateKey,
+            signer,
+            stuckTransactionTimeout,
+            maxTransactionReplacements,
+            feeStrategy,
+            gasPrice,
+            maxFeePerGas,
+            priorityFeePercentile,
+            gasLimitMultiplier,
+            reuseAllowance,
+            quorum,
+            logBlockRange,
         };
     }
 
@@ -95,18 +209,106 @@ class InputService {
         return options.graphState ?? this.config.graphState ?? DEFAULT_PARAMETERS.GRAPH_STATE;
     }
 
+    // with a node pool, requests to the first node are spread over the whole pool
     getEndpoint(options) {
-        return options.endpoint ?? this.config.endpoint ?? null;
+        return options.endpoint ?? this.config.endpoint ?? this.config.nodes?.[0]?.endpoint ?? null;
     }
 
     getPort(options) {
-        return options.port ?? this.config.port ?? DEFAULT_PARAMETERS.PORT;
+        return (
+            options.port ??
+            this.config.port ??
+            this.config.nodes?.[0]?.port ??
+            DEFAULT_PARAMETERS.PORT
+        );
     }
 
     getFrequency(options) {
         return options.frequency ?? this.config.frequency ?? DEFAULT_PARAMETERS.FREQUENCY;
     }
 
+    getBackoffFactor(options) {
+        return (
+            options.backoffFactor ?? this.config.backoffFactor ?? DEFAULT_PARAMETERS.BACKOFF_FACTOR
+        );
+    }
+
+    getMaxFrequency(options) {
+        return options.maxFrequency ?? this.config.maxFrequency ?? DEFAULT_PARAMETERS.MAX_FREQUENCY;
+    }
+
+    getJitter(options) {
+        return options.jitter ?? this.config.jitter ?? DEFAULT_PARAMETERS.JITTER;
+    }
+
+    getOperationTimeout(options) {
+        return (
+            options.operationTimeout ??
+            this.config.operationTimeout ??
+            DEFAULT_PARAMETERS.OPERATION_TIMEOUT
+        );
+    }
+
+    getRequestTimeout(options) {
+        return (
+            options.requestTimeout ??
+            this.config.requestTimeout ??
+            DEFAULT_PARAMETERS.REQUEST_TIMEOUT
+        );
+    }
+
+    getRequestRetries(options) {
+        return (
+            options.requestRetries ??
+            this.config.requestRetries ??
+            DEFAULT_PARAMETERS.REQUEST_RETRIES
+        );
+    }
+
+    getSignal(options) {
+        return options.signal ?? null;
+    }
+
+    getSpender(options) {
+        return options.spender ?? null;
+    }
+
+    getStrict(options) {
+        return options.strict ?? this.config.strict ?? DEFAULT_PARAMETERS.STRICT;
+    }
+
+    getConcurrency(options) {
+        return options.concurrency ?? this.config.concurrency ?? DEFAULT_PARAMETERS.CONCURRENCY;
+    }
+
+    getHorizonEpochs(options) {
+        return (
+            options.horizonEpochs ?? this.config.horizonEpochs ?? DEFAULT_PARAMETERS.HORIZON_EPOCHS
+        );
+    }
+
+    getBudget(options) {
+        return options.budget ?? null;
+    }
+
+    getConfirmations(options) {
+        return (
+            options.confirmations ?? this.config.confirmations ?? DEFAULT_PARAMETERS.CONFIRMATIONS
+        );
+    }
+
+    getFromBlock(options) {
+        return options.fromBlock ?? null;
+    }
+
+    getToBlock(options) {
+        return options.toBlock ?? null;
+    }
+
+    getEnrich(options) {
+        return options.enrich ?? false;
+    }
+
     getHashFunctionId(options) {
         return (
             options.hashFunctionId ??
@@ -131,6 +333,10 @@ class InputService {
         return options.immutable ?? this.config.immutable ?? DEFAULT_PARAMETERS.IMMUTABLE;
     }
 
+    getDryRun(options) {
+        return options.dryRun ?? this.config.dryRun ?? DEFAULT_PARAMETERS.DRY_RUN;
+    }
+
     getTokenAmount(options) {
         return options.tokenAmount ?? this.config.tokenAmount ?? null;
     }
@@ -139,6 +345,18 @@ class InputService {
         return options.state ?? this.config.state ?? DEFAULT_PARAMETERS.STATE;
     }
 
+    getStateIndex(options) {
+        return options.stateIndex ?? null;
+    }
+
+    getAssertionId(options) {
+        return options.assertionId ?? null;
+    }
+
+    getAtTimestamp(options) {
+        return options.atTimestamp ?? null;
+    }
+
     getContentType(options) {
         return options.contentType ?? this.config.contentType ?? DEFAULT_PARAMETERS.CONTENT_TYPE;
     }
@@ -160,7 +378,12 @@ class InputService {
     }
 
     getAuthToken(options) {
-        return options.auth?.token ?? this.config?.auth?.token ?? null;
+        return (
+            options.auth?.token ??
+            this.config?.auth?.token ??
+            this.config.nodes?.[0]?.auth?.token ??
+            null
+        );
     }
 }
 
@@ -1,23 +1,44 @@
 const axios = require('axios');
-const { OPERATION_STATUSES } = require('../../../constants.js');
-const { sleepForMilliseconds } = require('../../utilities.js');
+const { DEFAULT_PARAMETERS, NODE_HTTP_OPTIONS } = require('../../../constants.js');
+const { runMiddleware, getNodeApiError } = require('../../utilities.js');
 
+/**
+ * Node API service that talks to the OT-Node over HTTP. Every method accepts request options
+ * as its last argument:
+ * - timeout: time limit of a single attempt, in milliseconds
+ * - retries: max number of times a failed request is resent
+ * - signal: AbortSignal that cancels the request, it rejects with the abort reason
+ *
+ * Idempotent requests are retried on timeouts, network errors and responses of overloaded
+ * nodes. Requests that start a publish or an update are only resent when they never reached
+ * the node, a resent publish could otherwise be processed twice.
+ *
+ * Requests pass through the middleware from config.middleware, see runMiddleware. Middleware
+ * receives { method, endpoint, port, path, params, data, headers } and resolves to the
+ * response, { status, data, headers }.
+ */
 class HttpService {
     constructor(config = {}) {
         this.config = config;
+        this.middleware = config.middleware ?? [];
     }
 
-    async info(endpoint, port, authToken) {
+    async info(endpoint, port, authToken, requestOptions = {}) {
         try {
-            const response = await axios({
-                method: 'get',
-                url: `${endpoint}:${port}/info`,
-                headers: this.prepareRequestConfig(authToken),
-            });
+            const response = await this.request(
+                {
+                    method: 'get',
+                    endpoint,
+                    port,
+                    path: '/info',
+                    headers: this.prepareRequestConfig(authToken),
+                },
+                requestOptions,
+            );
 
             return response;
         } catch (error) {
-            throw Error(`Unable to get node info: ${error.message}`);
+            throw getNodeApiError('Unable to get node info', error, requestOptions);
         }
     }
 
@@ -31,40 +52,51 @@ class HttpService {
         contentAssetStorageAddress,
         firstAssertionId,
         hashFunctionId,
+        requestOptions = {},
     ) {
         try {
-            const response = await axios({
-                method: 'get',
-                url: `${endpoint}:${port}/bid-suggestion`,
-                params: {
-                    blockchain,
-                    epochsNumber,
-                    assertionSize,
-                    contentAssetStorageAddress,
-                    firstAssertionId,
-                    hashFunctionId,
+            const response = await this.request(
+                {
+                    method: 'get',
+                    endpoint,
+                    port,
+                    path: '/bid-suggestion',
+                    params: {
+                        blockchain,
+                        epochsNumber,
+                        assertionSize,
+                        contentAssetStorageAddress,
+                        firstAssertionId,
+                        hashFunctionId,
+                    },
+                    headers: this.prepareRequestConfig(authToken),
                 },
-                headers: this.prepareRequestConfig(authToken),
-            });
+                requestOptions,
+            );
 
             return response.data.bidSuggestion;
         } catch (error) {
-            throw Error(`Unable to get bid suggestion: ${error.message}`);
+            throw getNodeApiError('Unable to get bid suggestion', error, requestOptions);
         }
     }
 
-    async localStore(endpoint, port, authToken, assertions) {
+    async localStore(endpoint, port, authToken, assertions, requestOptions = {}) {
         try {
-            const response = await axios({
-                method: 'post',
-                url: `${endpoint}:${port}/local-store`,
-                data: assertions,
-                headers: this.prepareRequestConfig(authToken),
-            });
+            const response = await this.request(
+                {
+                    method: 'post',
+                    endpoint,
+                    port,
+                    path: '/local-store',
+                    data: assertions,
+                    headers: this.prepareRequestConfig(authToken),
+                },
+                requestOptions,
+            );
 
             return response.data.operationId;
         } catch (error) {
-            throw Error(`Unable to store locally: ${error.message}`);
+            throw getNodeApiError('Unable to store locally', error, requestOptions);
         }
     }
 
@@ -78,44 +110,56 @@ class HttpService {
         contract,
         tokenId,
         hashFunctionId,
+        requestOptions = {},
     ) {
         try {
-            const response = await axios({
-                method: 'post',
-                url: `${endpoint}:${port}/publish`,
-                data: {
-                    assertionId,
-                    assertion,
-                    blockchain,
-                    contract,
-                    tokenId,
-                    hashFunctionId,
+            const response = await this.request(
+                {
+                    method: 'post',
+                    endpoint,
+                    port,
+                    path: '/publish',
+                    data: {
+                        assertionId,
+                        assertion,
+                        blockchain,
+                        contract,
+                        tokenId,
+                        hashFunctionId,
+                    },
+                    headers: this.prepareRequestConfig(authToken),
                 },
-                headers: this.prepareRequestConfig(authToken),
-            });
+                requestOptions,
+                false,
+            );
 
             return response.data.operationId;
         } catch (error) {
-            throw Error(`Unable to publish: ${error.message}`);
+            throw getNodeApiError('Unable to publish', error, requestOptions);
         }
     }
 
-    async get(endpoint, port, authToken, UAL, state, hashFunctionId) {
+    async get(endpoint, port, authToken, UAL, state, hashFunctionId, requestOptions = {}) {
         try {
-            const response = await axios({
-                method: 'post',
-                url: `${endpoint}:${port}/get`,
-                data: {
-                    id: UAL,
-                    state,
-                    hashFunctionId,
+            const response = await this.request(
+                {
+                    method: 'post',
+                    endpoint,
+                    port,
+                    path: '/get',
+                    data: {
+                        id: UAL,
+                        state,
+                        hashFunctionId,
+                    },
+                    headers: this.prepareRequestConfig(authToken),
                 },
-                headers: this.prepareRequestConfig(authToken),
-            });
+                requestOptions,
+            );
 
             return response.data.operationId;
         } catch (error) {
-            throw Error(`Unable to get assertion: ${error.message}`);
+            throw getNodeApiError('Unable to get assertion', error, requestOptions);
         }
     }
 
@@ -129,83 +173,148 @@ class HttpService {
         contract,
         tokenId,
         hashFunctionId,
+        requestOptions = {},
     ) {
         try {
-            const response = await axios({
-                method: 'post',
-                url: `${endpoint}:${port}/update`,
-                data: {
-                    assertionId,
-                    assertion,
-                    blockchain,
-                    contract,
-                    tokenId,
-                    hashFunctionId,
+            const response = await this.request(
+                {
+                    method: 'post',
+                    endpoint,
+                    port,
+                    path: '/update',
+                    data: {
+                        assertionId,
+                        assertion,
+                        blockchain,
+                        contract,
+                        tokenId,
+                        hashFunctionId,
+                    },
+                    headers: this.prepareRequestConfig(authToken),
                 },
-                headers: this.prepareRequestConfig(authToken),
-            });
+                requestOptions,
+                false,
+            );
 
             return response.data.operationId;
         } catch (error) {
-            throw Error(`Unable to update: ${error.message}`);
+            throw getNodeApiError('Unable to update', error, requestOptions);
         }
     }
 
-    async query(endpoint, port, authToken, query, type, repository) {
+    async query(endpoint, port, authToken, query, type, repository, requestOptions = {}) {
         try {
-            const response = await axios({
-                method: 'post',
-                url: `${endpoint}:${port}/query`,
-                data: { query, type, repository },
-                headers: this.prepareRequestConfig(authToken),
-            });
+            const response = await this.request(
+                {
+                    method: 'post',
+                    endpoint,
+                    port,
+                    path: '/query',
+                    data: { query, type, repository },
+                    headers: this.prepareRequestConfig(authToken),
+                },
+                requestOptions,
+            );
             return response.data.operationId;
         } catch (error) {
-            throw Error(`Unable to query: ${error.message}`);
+            throw getNodeApiError('Unable to query', error, requestOptions);
         }
     }
 
-    async getOperationResult(
+    async getOperationStatus(
         endpoint,
         port,
         authToken,
         operation,
-        maxNumberOfRetries,
-        frequency,
         operationId,
+        requestOptions = {},
     ) {
-        await sleepForMilliseconds(500);
-        let response = {
-            status: OPERATION_STATUSES.PENDING,
-        };
-        let retries = 0;
-
-        const axios_config = {
-            method: 'get',
-            url: `${endpoint}:${port}/${operation}/${operationId}`,
-            headers: this.prepareRequestConfig(authToken),
-        };
-        do {
-            if (retries > maxNumberOfRetries) {
-                response.data = {
-                    ...response.data,
-                    data: {
-                        errorType: 'DKG_CLIENT_ERROR',
-                        errorMessage: 'Unable to get results. Max number of retries reached.',
-                    },
-                };
-                break;
+        try {
+            const response = await this.request(
+                {
+                    method: 'get',
+                    endpoint,
+                    port,
+                    path: `/${operation}/${operationId}`,
+                    headers: this.prepareRequestConfig(authToken),
+                },
+                requestOptions,
+            );
+
+            return response.data;
+        } catch (error) {
+            throw getNodeApiError(
+                'Unable to get operation result',
+                error,
+                requestOptions,
+                operationId,
+            );
+        }
+    }
+
+    /**
+     * Sends the request through the middleware, resending it while the error is retryable, so
+     * middleware sees every attempt. Delays between attempts are doubled every time and cut short
+     * when the request is aborted.
+     * @param {Object} request - Method, endpoint, port, path, params, data and headers.
+     * @param {Object} requestOptions - Timeout, retries and signal of the request.
+     * @param {boolean} [idempotent=true] - Whether the request can be processed more than once.
+     * @returns {Promise<Object>} Response with status, data and headers.
+     */
+    async request(request, { timeout, retries, signal } = {}, idempotent = true) {
+        const maxRetries = retries ?? DEFAULT_PARAMETERS.REQUEST_RETRIES;
+        const send = ({ method, endpoint, port, path, params, data, headers }) =>
+            axios({
+                method,
+                url: `${endpoint}:${port}${path}`,
+                params,
+                data,
+                headers,
+                timeout: timeout ?? DEFAULT_PARAMETERS.REQUEST_TIMEOUT,
+                signal: signal ?? undefined,
+            });
+
+        for (let attempt = 0; ; attempt += 1) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                return await runMiddleware(
+                    this.middleware,
+                    { ...request, headers: { ...request.headers } },
+                    send,
+                );
+            } catch (error) {
+                const retryable = !signal?.aborted && this.isRetryable(error, idempotent);
+                if (attempt >= maxRetries || !retryable) throw error;
             }
-            retries += 1;
-            // eslint-disable-next-line no-await-in-loop
-            await sleepForMilliseconds(frequency * 1000);
+
             // eslint-disable-next-line no-await-in-loop
-            response = await axios(axios_config);
-        } while (
-            response.data.status !== OPERATION_STATUSES.COMPLETED &&
-            response.data.status !== OPERATION_STATUSES.FAILED
-        );
-        return response.data;
+            await this.sleep(NODE_HTTP_OPTIONS.retry.delay * 2 ** attempt, signal);
+        }
+    }
+
+    isRetryable(error, idempotent) {
+        const { statusCodes, connectionErrorCodes } = NODE_HTTP_OPTIONS.retry;
+
+        // errors thrown by middleware are returned as they are
+        if (!axios.isAxiosError(error) || axios.isCancel(error)) return false;
+        if (!idempotent) return !error.response && connectionErrorCodes.includes(error.code);
+        // no response means the request timed out or the connection failed
+        return !error.response || statusCodes.includes(error.response.status);
+    }
+
+    async sleep(milliseconds, signal) {
+        await new Promise((resolve) => {
+            // the next attempt is then canceled by axios right away
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                resolve();
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, milliseconds);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     prepareRequestConfig(authToken) {
@@ -1,6 +1,592 @@
+const {
+    NODE_WEBSOCKET_OPTIONS,
+    OPERATION_STATUSES,
+    SOCKET_MESSAGE_TYPES,
+} = require('../../../constants.js');
+const { nodeSupported, runMiddleware, getNodeApiError } = require('../../utilities.js');
+const { NodeApiError } = require('../../../errors.js');
+
+// eslint-disable-next-line global-require
+const WebSocketImplementation = nodeSupported() ? require('ws') : window.WebSocket;
+
+/**
+ * Node API service that talks to the OT-Node over a single WebSocket connection
+ * per endpoint. Requests are correlated with responses by requestId, while operation
+ * results are pushed by the node for every operationId the client subscribed to.
+ *
+ * Messages exchanged with the node:
+ * - { type: 'request', requestId, method, path, params, data, headers }
+ * - { type: 'response', requestId, statusCode, data }
+ * - { type: 'subscribe', operation, operationId, headers }
+ * - { type: 'operation-result', operation, operationId, status, data }
+ */
 class SocketService {
-    publish() {}
+    constructor(config = {}) {
+        this.config = config;
+        this.middleware = config.middleware ?? [];
+        this.connections = {};
+        this.requestCounter = 0;
+    }
+
+    async info(endpoint, port, authToken, requestOptions = {}) {
+        try {
+            const response = await this.sendRequest(
+                endpoint,
+                port,
+                authToken,
+                'get',
+                '/info',
+                {},
+                requestOptions,
+            );
+
+            return response;
+        } catch (error) {
+            throw getNodeApiError('Unable to get node info', error, requestOptions);
+        }
+    }
+
+    async getBidSuggestion(
+        endpoint,
+        port,
+        authToken,
+        blockchain,
+        epochsNumber,
+        assertionSize,
+        contentAssetStorageAddress,
+        firstAssertionId,
+        hashFunctionId,
+        requestOptions = {},
+    ) {
+        try {
+            const response = await this.sendRequest(
+                endpoint,
+                port,
+                authToken,
+                'get',
+                '/bid-suggestion',
+                {
+                    params: {
+                        blockchain,
+                        epochsNumber,
+                        assertionSize,
+                        contentAssetStorageAddress,
+                        firstAssertionId,
+                        hashFunctionId,
+                    },
+                },
+                requestOptions,
+            );
+
+            return response.data.bidSuggestion;
+        } catch (error) {
+            throw getNodeApiError('Unable to get bid suggestion', error, requestOptions);
+        }
+    }
+
+    async localStore(endpoint, port, authToken, assertions, requestOptions = {}) {
+        try {
+            const response = await this.sendRequest(
+                endpoint,
+                port,
+                authToken,
+                'post',
+                '/local-store',
+                { data: assertions },
+                requestOptions,
+            );
+
+            return response.data.operationId;
+        } catch (error) {
+            throw getNodeApiError('Unable to store locally', error, requestOptions);
+        }
+    }
+
+    async publish(
+        endpoint,
+        port,
+        authToken,
+        assertionId,
+        assertion,
+        blockchain,
+        contract,
+        tokenId,
+        hashFunctionId,
+        requestOptions = {},
+    ) {
+        try {
+            const response = await this.sendRequest(
+                endpoint,
+                port,
+                authToken,
+                'post',
+                '/publish',
+                {
+                    data: {
+                        assertionId,
+                        assertion,
+                        blockchain,
+                        contract,
+                        tokenId,
+                        hashFunctionId,
+                    },
+                },
+                requestOptions,
+            );
+
+            return response.data.operationId;
+        } catch (error) {
+            throw getNodeApiError('Unable to publish', error, requestOptions);
+        }
+    }
+
+    async get(endpoint, port, authToken, UAL, state, hashFunctionId, requestOptions = {}) {
+        try {
+            const response = await this.sendRequest(
+                endpoint,
+                port,
+                authToken,
+                'post',
+                '/get',
+                {
+                    data: {
+                        id: UAL,
+                        state,
+                        hashFunctionId,
+                    },
+                },
+                requestOptions,
+            );
+
+            return response.data.operationId;
+        } catch (error) {
+            throw getNodeApiError('Unable to get assertion', error, requestOptions);
+        }
+    }
+
+    async update(
+        endpoint,
+        port,
+        authToken,
+        assertionId,
+        assertion,
+        blockchain,
+        contract,
+        tokenId,
+        hashFunctionId,
+        requestOptions = {},
+    ) {
+        try {
+            const response = await this.sendRequest(
+                endpoint,
+                port,
+                authToken,
+                'post',
+                '/update',
+                {
+                    data: {
+                        assertionId,
+                        assertion,
+                        blockchain,
+                        contract,
+                        tokenId,
+                        hashFunctionId,
+                    },
+                },
+                requestOptions,
+            );
+
+            return response.data.operationId;
+        } catch (error) {
+            throw getNodeApiError('Unable to update', error, requestOptions);
+        }
+    }
+
+    async query(endpoint, port, authToken, query, type, repository, requestOptions = {}) {
+        try {
+            const response = await this.sendRequest(
+                endpoint,
+                port,
+                authToken,
+                'post',
+                '/query',
+                {
+                    data: { query, type, repository },
+                },
+                requestOptions,
+            );
+
+            return response.data.operationId;
+        } catch (error) {
+            throw getNodeApiError('Unable to query', error, requestOptions);
+        }
+    }
+
+    async getOperationStatus(
+        endpoint,
+        port,
+        authToken,
+        operation,
+        operationId,
+        requestOptions = {},
+    ) {
+        try {
+            const response = await this.sendRequest(
+                endpoint,
+                port,
+                authToken,
+                'get',
+                `/${operation}/${operationId}`,
+                {},
+                requestOptions,
+            );
+
+            return response.data;
+        } catch (error) {
+            throw getNodeApiError(
+                'Unable to get operation result',
+                error,
+                requestOptions,
+                operationId,
+            );
+        }
+    }
+
+    /**
+     * Subscribes to results of an operation. Instead of polling, the node pushes
+     * every status change of the operation to the listener.
+     * @returns {Promise<Function>} Function that removes the listener.
+     */
+    async subscribeToOperation(endpoint, port, authToken, operation, operationId, listener) {
+        const connection = await this.getConnection(endpoint, port);
+
+        this.subscribe(connection, authToken, operation, operationId, listener);
+
+        return () => this.unsubscribe(connection, operationId, listener);
+    }
+
+    /**
+     * Sends the request through the middleware from config.middleware, see runMiddleware.
+     * Middleware receives { method, endpoint, port, path, params, data, headers } and resolves to
+     * the response, { status, data }. Subscriptions to operation results don't pass through it.
+     *
+     * Requests aren't retried, the node may have already processed a request whose response
+     * was lost together with the connection.
+     */
+    async sendRequest(
+        endpoint,
+        port,
+        authToken,
+        method,
+        path,
+        { params, data } = {},
+        requestOptions = {},
+    ) {
+        return runMiddleware(
+            this.middleware,
+            {
+                method,
+                endpoint,
+                port,
+                path,
+                params,
+                data,
+                headers: this.prepareRequestConfig(authToken),
+            },
+            (request) => this.sendRequestMessage(request, requestOptions),
+        );
+    }
+
+    async sendRequestMessage(
+        { method, endpoint, port, path, params, data, headers },
+        { timeout, signal } = {},
+    ) {
+        const connection = await this.getConnection(endpoint, port);
+        if (signal?.aborted) throw Error('Request was aborted.');
+
+        this.requestCounter += 1;
+        const requestId = `${Date.now()}-${this.requestCounter}`;
+        const requestTimeout = timeout ?? NODE_WEBSOCKET_OPTIONS.requestTimeout;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                delete connection.pendingRequests[requestId];
+                reject(Error('Request was aborted.'));
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                delete connection.pendingRequests[requestId];
+                reject(Error(`Request timed out after ${requestTimeout}ms`));
+            }, requestTimeout);
+
+            // responses and closed connections settle the request through these callbacks
+            connection.pendingRequests[requestId] = {
+                resolve: (response) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(response);
+                },
+                reject: (error) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    reject(error);
+                },
+                timeoutId,
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.sendMessage(connection, {
+                type: SOCKET_MESSAGE_TYPES.REQUEST,
+                requestId,
+                method,
+                path,
+                params,
+                data,
+                headers,
+            });
+        });
+    }
+
+    subscribe(connection, authToken, operation, operationId, listener) {
+        if (!connection.subscriptions[operationId]) {
+            // eslint-disable-next-line no-param-reassign
+            connection.subscriptions[operationId] = {
+                operation,
+                headers: this.prepareRequestConfig(authToken),
+                listeners: new Set(),
+            };
+        }
+        connection.subscriptions[operationId].listeners.add(listener);
+
+        this.sendSubscription(connection, operationId);
+
+        // the node may have pushed the result before the client subscribed, later results
+        // are delivered to the listeners
+        const cachedResult = connection.operationResults[operationId];
+        if (cachedResult) {
+            clearTimeout(cachedResult.timeoutId);
+            // eslint-disable-next-line no-param-reassign
+            delete connection.operationResults[operationId];
+            listener(cachedResult.result);
+        }
+    }
+
+    unsubscribe(connection, operationId, listener) {
+        const subscription = connection.subscriptions[operationId];
+        if (!subscription) return;
+
+        subscription.listeners.delete(listener);
+        if (!subscription.listeners.size) {
+            // eslint-disable-next-line no-param-reassign
+            delete connection.subscriptions[operationId];
+        }
+    }
+
+    /**
+     * Keeps the result of an operation nobody subscribed to yet, it's evicted after
+     * NODE_WEBSOCKET_OPTIONS.operationResultTTL if no subscription picks it up.
+     */
+    cacheOperationResult(connection, operationId, result) {
+        /* eslint-disable no-param-reassign */
+        clearTimeout(connection.operationResults[operationId]?.timeoutId);
+
+        const timeoutId = setTimeout(() => {
+            delete connection.operationResults[operationId];
+        }, NODE_WEBSOCKET_OPTIONS.operationResultTTL);
+        // the eviction alone doesn't keep the process alive
+        timeoutId.unref?.();
+
+        connection.operationResults[operationId] = { result, timeoutId };
+        /* eslint-enable no-param-reassign */
+    }
+
+    clearOperationResults(connection) {
+        Object.values(connection.operationResults).forEach(({ timeoutId }) =>
+            clearTimeout(timeoutId),
+        );
+        // eslint-disable-next-line no-param-reassign
+        connection.operationResults = {};
+    }
+
+    sendSubscription(connection, operationId) {
+        const { operation, headers } = connection.subscriptions[operationId];
+
+        this.sendMessage(connection, {
+            type: SOCKET_MESSAGE_TYPES.SUBSCRIBE,
+            operation,
+            operationId,
+            headers,
+        });
+    }
+
+    sendMessage(connection, message) {
+        if (connection.socket.readyState === WebSocketImplementation.OPEN) {
+            connection.socket.send(JSON.stringify(message));
+        } else {
+            connection.queuedMessages.push(message);
+        }
+    }
+
+    async getConnection(endpoint, port) {
+        const url = this.getSocketUrl(endpoint, port);
+
+        if (!this.connections[url]) {
+            const connection = {
+                url,
+                socket: null,
+                reconnectAttempts: 0,
+                closed: false,
+                pendingRequests: {},
+                subscriptions: {},
+                operationResults: {},
+                queuedMessages: [],
+            };
+            connection.ready = new Promise((resolve, reject) => {
+                connection.onOpen = resolve;
+                connection.onFailure = reject;
+            });
+            this.connections[url] = connection;
+            this.connect(connection);
+        }
+
+        return this.connections[url].ready;
+    }
+
+    connect(connection) {
+        /* eslint-disable no-param-reassign */
+        const socket = new WebSocketImplementation(connection.url);
+        connection.socket = socket;
+
+        socket.onopen = () => {
+            connection.reconnectAttempts = 0;
+
+            const { queuedMessages } = connection;
+            connection.queuedMessages = [];
+            queuedMessages.forEach((message) => this.sendMessage(connection, message));
+            Object.keys(connection.subscriptions).forEach((operationId) =>
+                this.sendSubscription(connection, operationId),
+            );
+
+            connection.onOpen(connection);
+        };
+
+        socket.onmessage = (event) => this.handleMessage(connection, event.data);
+
+        socket.onclose = () => {
+            // requests are never resent after a reconnect, the node may have already processed them
+            connection.queuedMessages = [];
+            this.rejectPendingRequests(connection, 'Connection to the node was closed.');
+
+            if (connection.closed) return;
+
+            if (
+                NODE_WEBSOCKET_OPTIONS.reconnect.auto &&
+                connection.reconnectAttempts < NODE_WEBSOCKET_OPTIONS.reconnect.maxAttempts
+            ) {
+                const delay =
+                    NODE_WEBSOCKET_OPTIONS.reconnect.delay * 2 ** connection.reconnectAttempts;
+                connection.reconnectAttempts += 1;
+                setTimeout(() => this.connect(connection), delay);
+            } else {
+                this.dropConnection(connection);
+                connection.onFailure(Error(`Unable to connect to ${connection.url}`));
+            }
+        };
+
+        // errors are always followed by a close event, reconnection is handled there
+        socket.onerror = () => {};
+        /* eslint-enable no-param-reassign */
+    }
+
+    handleMessage(connection, rawMessage) {
+        let message;
+        try {
+            message = JSON.parse(rawMessage);
+        } catch (error) {
+            return;
+        }
+
+        if (message.type === SOCKET_MESSAGE_TYPES.RESPONSE) {
+            const pendingRequest = connection.pendingRequests[message.requestId];
+            if (!pendingRequest) return;
+
+            clearTimeout(pendingRequest.timeoutId);
+            // eslint-disable-next-line no-param-reassign
+            delete connection.pendingRequests[message.requestId];
+
+            if (message.statusCode >= 400) {
+                pendingRequest.reject(
+                    new NodeApiError(
+                        `Request failed with status code ${message.statusCode}${
+                            message.data?.message ? `: ${message.data.message}` : ''
+                        }`,
+                        { status: message.statusCode },
+                    ),
+                );
+            } else {
+                pendingRequest.resolve({ status: message.statusCode, data: message.data });
+            }
+        } else if (message.type === SOCKET_MESSAGE_TYPES.OPERATION_RESULT) {
+            const result = { status: message.status, data: message.data };
+
+            const subscription = connection.subscriptions[message.operationId];
+            if (subscription) {
+                subscription.listeners.forEach((listener) => listener(result));
+            } else {
+                this.cacheOperationResult(connection, message.operationId, result);
+            }
+        }
+    }
+
+    rejectPendingRequests(connection, errorMessage) {
+        Object.entries(connection.pendingRequests).forEach(([requestId, pendingRequest]) => {
+            clearTimeout(pendingRequest.timeoutId);
+            pendingRequest.reject(Error(errorMessage));
+            // eslint-disable-next-line no-param-reassign
+            delete connection.pendingRequests[requestId];
+        });
+    }
+
+    dropConnection(connection) {
+        delete this.connections[connection.url];
+        this.clearOperationResults(connection);
+
+        Object.values(connection.subscriptions).forEach((subscription) =>
+            subscription.listeners.forEach((listener) =>
+                listener({
+                    status: OPERATION_STATUSES.PENDING,
+                    data: {
+                        errorType: 'DKG_CLIENT_ERROR',
+                        errorMessage: 'Connection to the node was lost.',
+                    },
+                }),
+            ),
+        );
+    }
+
+    /**
+     * Closes all open connections. Pending requests are rejected and no reconnection is attempted.
+     */
+    close() {
+        Object.values(this.connections).forEach((connection) => {
+            // eslint-disable-next-line no-param-reassign
+            connection.closed = true;
+            connection.socket.close();
+            this.rejectPendingRequests(connection, 'Connection to the node was closed.');
+            this.clearOperationResults(connection);
+        });
+        this.connections = {};
+    }
+
+    getSocketUrl(endpoint, port) {
+        return `${endpoint.replace(/^http/, 'ws')}:${port}`;
+    }
+
+    prepareRequestConfig(authToken) {
+        if (authToken) {
+            return { Authorization: `Bearer ${authToken}` };
+        }
 
-    getOperationResult() {}
+        return {};
+    }
 }
 module.exports = SocketService;
@@ -0,0 +1,317 @@
+const {
+    DEFAULT_PARAMETERS,
+    NODE_HTTP_OPTIONS,
+    NODE_POOL_OPTIONS,
+    NODE_POOL_STRATEGIES,
+    OPERATION_STATUSES,
+} = require('../../constants.js');
+const { NodeApiError } = require('../../errors.js');
+
+const TERMINAL_STATUSES = [OPERATION_STATUSES.COMPLETED, OPERATION_STATUSES.FAILED];
+
+/**
+ * Spreads requests over several nodes, exposing the same methods as the node API service it
+ * wraps. Requests addressed to a node of the pool, including the default endpoint, are routed
+ * to a healthy node chosen by the strategy, using its own port and auth token, and are retried
+ * on the next node when the node can't be reached. Requests to other endpoints are passed
+ * through unchanged.
+ *
+ * Nodes are health-checked through /info when first used and again after healthCheckInterval,
+ * a node that couldn't be reached is skipped until its next check. Status of an operation is
+ * always requested from the node that started it, pin() keeps the requests of an operation on
+ * one node.
+ */
+class NodePool {
+    /**
+     * @param {Object} nodeApiService - Http or Sockets node API service.
+     * @param {Object[]} nodes - Endpoint, port, auth: { token } and weight of every node.
+     * @param {Object} [options] - Strategy and health check interval, see NODE_POOL_OPTIONS.
+     */
+    constructor(nodeApiService, nodes, options = {}) {
+        this.nodeApiService = nodeApiService;
+        this.options = { ...NODE_POOL_OPTIONS, ...options };
+        this.nodes = nodes.map((node) => ({
+            endpoint: node.endpoint,
+            port: node.port ?? DEFAULT_PARAMETERS.PORT,
+            authToken: node.auth?.token ?? null,
+            weight: node.weight ?? 1,
+            healthy: true,
+            latency: null,
+            checkedAt: null,
+            healthCheck: null,
+            currentWeight: 0,
+        }));
+        this.operationNodes = new Map();
+        this.pinned = false;
+        this.pinnedNode = null;
+
+        // operation tracker polls when the wrapped service can't push operation results
+        if (typeof nodeApiService.subscribeToOperation !== 'function') {
+            this.subscribeToOperation = null;
+        }
+    }
+
+    async info(endpoint, port, authToken, ...args) {
+        return this.request('info', endpoint, port, authToken, args);
+    }
+
+    async getBidSuggestion(endpoint, port, authToken, ...args) {
+        return this.request('getBidSuggestion', endpoint, port, authToken, args);
+    }
+
+    async localStore(endpoint, port, authToken, ...args) {
+        return this.request('localStore', endpoint, port, authToken, args, {
+            startsOperation: true,
+        });
+    }
+
+    async publish(endpoint, port, authToken, ...args) {
+        return this.request('publish', endpoint, port, authToken, args, {
+            startsOperation: true,
+            idempotent: false,
+        });
+    }
+
+    async get(endpoint, port, authToken, ...args) {
+        return this.request('get', endpoint, port, authToken, args, {
+            startsOperation: true,
+        });
+    }
+
+    async update(endpoint, port, authToken, ...args) {
+        return this.request('update', endpoint, port, authToken, args, {
+            startsOperation: true,
+            idempotent: false,
+        });
+    }
+
+    async query(endpoint, port, authToken, ...args) {
+        return this.request('query', endpoint, port, authToken, args, {
+            startsOperation: true,
+        });
+    }
+
+    async getOperationStatus(endpoint, port, authToken, operation, operationId, requestOptions) {
+        const node = this.getOperationNode(endpoint, port, operationId);
+        if (!node) {
+            return this.nodeApiService.getOperationStatus(
+                endpoint,
+                port,
+                authToken,
+                operation,
+                operationId,
+                requestOptions,
+            );
+        }
+
+        const result = await this.nodeApiService.getOperationStatus(
+            node.endpoint,
+            node.port,
+            node.authToken,
+            operation,
+            operationId,
+            requestOptions,
+        );
+        if (TERMINAL_STATUSES.includes(result.status)) this.operationNodes.delete(operationId);
+
+        return result;
+    }
+
+    async subscribeToOperation(endpoint, port, authToken, operation, operationId, listener) {
+        const node = this.getOperationNode(endpoint, port, operationId);
+        if (!node) {
+            return this.nodeApiService.subscribeToOperation(
+                endpoint,
+                port,
+                authToken,
+                operation,
+                operationId,
+                listener,
+            );
+        }
+
+        return this.nodeApiService.subscribeToOperation(
+            node.endpoint,
+            node.port,
+            node.authToken,
+            operation,
+            operationId,
+            (result) => {
+                if (TERMINAL_STATUSES.includes(result.status)) {
+                    this.operationNodes.delete(operationId);
+                }
+                listener(result);
+            },
+        );
+    }
+
+    /**
+     * Returns a view of the pool which sends all of its requests to the same node, for
+     * operations made of several requests, such as storing an assertion locally and publishing
+     * it. The node is the one which answered the first request, requests before that are retried
+     * on the next node as usual.
+     */
+    pin() {
+        const pinnedPool = Object.create(this);
+        pinnedPool.pinned = true;
+        pinnedPool.pinnedNode = null;
+
+        return pinnedPool;
+    }
+
+    /**
+     * Closes connections of the wrapped service, if it keeps any open.
+     */
+    close() {
+        if (typeof this.nodeApiService.close === 'function') this.nodeApiService.close();
+    }
+
+    async request(
+        method,
+        endpoint,
+        port,
+        authToken,
+        args,
+        { startsOperation = false, idempotent = true } = {},
+    ) {
+        if (!this.findNode(endpoint, port)) {
+            return this.nodeApiService[method](endpoint, port, authToken, ...args);
+        }
+
+        let lastError;
+        const nodes = this.pinnedNode ? [this.pinnedNode] : await this.selectNodes();
+        for (const node of nodes) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                const result = await this.nodeApiService[method](
+                    node.endpoint,
+                    node.port,
+                    node.authToken,
+                    ...args,
+                );
+                if (startsOperation) this.operationNodes.set(result, node);
+                if (this.pinned) this.pinnedNode = node;
+
+                return result;
+            } catch (error) {
+                // the node responded, another node would most likely respond the same, or it may
+                // have received a request that can't be sent twice
+                if (!this.isConnectionError(error, idempotent)) throw error;
+
+                node.healthy = false;
+                node.checkedAt = Date.now();
+                lastError = error;
+            }
+        }
+
+        if (this.pinnedNode) throw lastError;
+
+        throw new NodeApiError(
+            `None of the nodes in the pool could be reached: ${lastError.message}`,
+            {
+                cause: lastError,
+            },
+        );
+    }
+
+    /**
+     * Returns healthy nodes in the order they should be tried, all nodes if none of them is
+     * healthy so that nodes which came back are found.
+     */
+    async selectNodes() {
+        const now = Date.now();
+        await Promise.all(
+            this.nodes
+                .filter(
+                    (node) =>
+                        node.checkedAt == null ||
+                        now - node.checkedAt >= this.options.healthCheckInterval,
+                )
+                .map((node) => this.checkHealth(node)),
+        );
+
+        const healthyNodes = this.nodes.filter((node) => node.healthy);
+        const nodes = healthyNodes.length ? healthyNodes : this.nodes;
+
+        if (this.options.strategy === NODE_POOL_STRATEGIES.LATENCY) {
+            return [...nodes].sort(
+                // nodes without a measured latency go last
+                (a, b) =>
+                    (a.latency ?? Number.MAX_SAFE_INTEGER) / a.weight -
+                    (b.latency ?? Number.MAX_SAFE_INTEGER) / b.weight,
+            );
+        }
+
+        const selectedNode = this.getNextRoundRobinNode(nodes);
+
+        return [selectedNode, ...nodes.filter((node) => node !== selectedNode)];
+    }
+
+    /**
+     * Smooth weighted round-robin, every node is selected in proportion to its weight without
+     * selecting the same node in a row more than needed.
+     */
+    getNextRoundRobinNode(nodes) {
+        const totalWeight = nodes.reduce((sum, node) => sum + node.weight, 0);
+        let selectedNode = nodes[0];
+
+        nodes.forEach((node) => {
+            // eslint-disable-next-line no-param-reassign
+            node.currentWeight += node.weight;
+            if (node.currentWeight > selectedNode.currentWeight) selectedNode = node;
+        });
+        selectedNode.currentWeight -= totalWeight;
+
+        return selectedNode;
+    }
+
+    async checkHealth(node) {
+        if (!node.healthCheck) {
+            const startTime = Date.now();
+            /* eslint-disable no-param-reassign */
+            // unreachable nodes are skipped instead of waiting for retries
+            node.healthCheck = this.nodeApiService
+                .info(node.endpoint, node.port, node.authToken, { retries: 0 })
+                .then(
+                    () => {
+                        node.healthy = true;
+                        node.latency = Date.now() - startTime;
+                    },
+                    () => {
+                        node.healthy = false;
+                    },
+                )
+                .finally(() => {
+                    node.checkedAt = Date.now();
+                    node.healthCheck = null;
+                });
+            /* eslint-enable no-param-reassign */
+        }
+
+        return node.healthCheck;
+    }
+
+    getOperationNode(endpoint, port, operationId) {
+        return this.operationNodes.get(operationId) ?? this.findNode(endpoint, port);
+    }
+
+    findNode(endpoint, port) {
+        return this.nodes.find(
+            (node) => node.endpoint === endpoint && Number(node.port) === Number(port),
+        );
+    }
+
+    /**
+     * Node API services don't set the status of errors the node didn't respond to. Requests that
+     * aren't idempotent may have reached the node even then, for example when they timed out, so
+     * they are only sent to another node when the connection couldn't be established.
+     */
+    isConnectionError(error, idempotent = true) {
+        if (!(error instanceof NodeApiError) || error.status != null) return false;
+
+        return (
+            idempotent || NODE_HTTP_OPTIONS.retry.connectionErrorCodes.includes(error.cause?.code)
+        );
+    }
+}
+module.exports = NodePool;
@@ -0,0 +1,350 @@
+const EventEmitter = require('events');
+const { OPERATION_STATUSES } = require('../constants.js');
+const { NodeApiError, OperationTimeoutError } = require('../errors.js');
+
+const TERMINAL_STATUSES = [OPERATION_STATUSES.COMPLETED, OPERATION_STATUSES.FAILED];
+
+/**
+ * Handle returned for every tracked operation. Emits:
+ * - 'status' (result, previousStatus) on every status transition
+ * - 'completed' / 'failed' (result) when the operation reaches a final status
+ * - 'timeout' (result) when the operation didn't finish in time
+ * - 'aborted' (error) when tracking was cancelled through the AbortSignal
+ * It can also be consumed as an async iterator of status transitions.
+ */
+class OperationHandle extends EventEmitter {
+    constructor(operation, operationId) {
+        super();
+        this.operation = operation;
+        this.operationId = operationId;
+        this.status = null;
+        this.transitions = [];
+        this.settled = false;
+        this.error = null;
+
+        this.finalResult = new Promise((resolve, reject) => {
+            this.resolveResult = resolve;
+            this.rejectResult = reject;
+        });
+        // rejection is delivered to whoever awaits result(), tracking alone shouldn't crash the process
+        this.finalResult.catch(() => {});
+    }
+
+    /**
+     * Resolves with the final operation result ({ status, data }) or rejects if tracking was aborted.
+     * @returns {Promise<Object>}
+     */
+    result() {
+        return this.finalResult;
+    }
+
+    update(result) {
+        if (this.settled || result.status === this.status) return;
+
+        const previousStatus = this.status;
+        this.status = result.status;
+        this.transitions.push(result);
+        this.emit('status', result, previousStatus);
+        this.emit('transition');
+    }
+
+    settle(result, eventName) {
+        if (this.settled) return;
+
+        this.update(result);
+        this.settled = true;
+        this.emit(eventName, result);
+        this.emit('transition');
+        this.resolveResult(result);
+    }
+
+    abort(error) {
+        if (this.settled) return;
+
+        this.settled = true;
+        this.error = error;
+        this.emit('aborted', error);
+        this.emit('transition');
+        this.rejectResult(error);
+    }
+
+    [Symbol.asyncIterator]() {
+        let index = 0;
+
+        const next = () => {
+            if (index < this.transitions.length) {
+                index += 1;
+                return Promise.resolve({ value: this.transitions[index - 1], done: false });
+            }
+            if (this.error) return Promise.reject(this.error);
+            if (this.settled) return Promise.resolve({ value: undefined, done: true });
+
+            return new Promise((resolve) => {
+                this.once('transition', () => resolve(next()));
+            });
+        };
+
+        return { next };
+    }
+}
+
+class OperationTracker {
+    constructor(nodeApiService) {
+        this.nodeApiService = nodeApiService;
+    }
+
+    /**
+     * Tracks a node operation until it reaches COMPLETED or FAILED status. Results pushed by
+     * the node are used when the node API service supports it, otherwise the operation
+     * status is polled, with exponential backoff if options.backoffFactor is above 1.
+     * @param {string} endpoint - Node endpoint.
+     * @param {number} port - Node port.
+     * @param {string} authToken - Node auth token.
+     * @param {string} operation - One of OPERATIONS.
+     * @param {string} operationId - Id returned by the node when the operation was started.
+     * @param {Object} options - Tracking options, see track().
+     * @param {Object} [options.requestOptions] - Timeout, retries and signal of status requests.
+     * @returns {OperationHandle}
+     */
+    trackOperation(endpoint, port, authToken, operation, operationId, options) {
+        const handle = new OperationHandle(operation, operationId);
+
+        if (typeof this.nodeApiService.subscribeToOperation === 'function') {
+            this.listen(
+                handle,
+                (listener) =>
+                    this.nodeApiService.subscribeToOperation(
+                        endpoint,
+                        port,
+                        authToken,
+                        operation,
+                        operationId,
+                        listener,
+                    ),
+                options,
+            );
+        } else {
+            this.poll(
+                handle,
+                () =>
+                    this.nodeApiService.getOperationStatus(
+                        endpoint,
+                        port,
+                        authToken,
+                        operation,
+                        operationId,
+                        options.requestOptions,
+                    ),
+                options,
+            );
+        }
+
+        return handle;
+    }
+
+    /**
+     * Tracks any asynchronous process whose status can be fetched on demand.
+     * @param {Function} fetchStatus - Async function resolving to { status, data }.
+     * @param {Object} options
+     * @param {number} options.maxNumberOfRetries - Max number of status checks.
+     * @param {number} options.frequency - Delay before the first check, in seconds.
+     * @param {number} [options.backoffFactor] - Multiplier applied to the delay after every check.
+     * @param {number} [options.maxFrequency] - Upper bound for the delay, in seconds.
+     * @param {number} [options.jitter] - Random deviation of the delay, as a fraction of it.
+     * @param {number} [options.operationTimeout] - Overall time limit, in milliseconds.
+     * @param {AbortSignal} [options.signal] - Cancels tracking when aborted.
+     * @returns {OperationHandle}
+     */
+    track(fetchStatus, options) {
+        const handle = new OperationHandle(null, null);
+        this.poll(handle, fetchStatus, options);
+
+        return handle;
+    }
+
+    async poll(handle, fetchStatus, options) {
+        const { maxNumberOfRetries, operationTimeout, signal } = options;
+        const deadline = operationTimeout ? Date.now() + operationTimeout : Infinity;
+        let lastError;
+
+        try {
+            for (let attempt = 0; attempt < maxNumberOfRetries; attempt += 1) {
+                const delay = Math.min(
+                    this.getBackoffDelay(attempt, options),
+                    deadline - Date.now(),
+                );
+                if (delay < 0) {
+                    handle.settle(
+                        this.getTimeoutResult(handle, Error('Operation timed out.')),
+                        'timeout',
+                    );
+                    return;
+                }
+
+                // eslint-disable-next-line no-await-in-loop
+                await this.sleep(delay, signal);
+
+                let result;
+                try {
+                    // eslint-disable-next-line no-await-in-loop
+                    result = await fetchStatus();
+                    lastError = null;
+                } catch (error) {
+                    lastError = error;
+                }
+                this.throwIfAborted(signal);
+
+                if (result) {
+                    if (TERMINAL_STATUSES.includes(result.status)) {
+                        handle.settle(result, this.getSettleEventName(result.status));
+                        return;
+                    }
+                    handle.update(result);
+                }
+            }
+
+            handle.settle(this.getTimeoutResult(handle, lastError), 'timeout');
+        } catch (error) {
+            handle.abort(error);
+        }
+    }
+
+    async listen(handle, subscribe, options) {
+        const { operationTimeout, signal } = options;
+        let unsubscribe = () => {};
+        let timeoutId;
+
+        const onAbort = () => {
+            clearTimeout(timeoutId);
+            unsubscribe();
+            handle.abort(this.getAbortError(signal));
+        };
+        const finish = (result, eventName) => {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+            unsubscribe();
+            handle.settle(result, eventName);
+        };
+
+        if (signal?.aborted) {
+            handle.abort(this.getAbortError(signal));
+            return;
+        }
+        signal?.addEventListener('abort', onAbort);
+
+        timeoutId = setTimeout(
+            () =>
+                finish(
+                    this.getTimeoutResult(
+                        handle,
+                        operationTimeout ? Error('Operation timed out.') : null,
+                    ),
+                    'timeout',
+                ),
+            operationTimeout ?? this.getPollingDuration(options),
+        );
+
+        try {
+            unsubscribe = await subscribe((result) => {
+                if (TERMINAL_STATUSES.includes(result.status)) {
+                    finish(result, this.getSettleEventName(result.status));
+                } else if (result.data?.errorType) {
+                    finish(
+                        {
+                            ...result,
+                            error: new NodeApiError(result.data.errorMessage, {
+                                operationId: handle.operationId,
+                            }),
+                        },
+                        'timeout',
+                    );
+                } else {
+                    handle.update(result);
+                }
+            });
+            if (handle.settled) unsubscribe();
+        } catch (error) {
+            finish(this.getTimeoutResult(handle, error), 'timeout');
+        }
+    }
+
+    getBackoffDelay(attempt, { frequency, backoffFactor = 1, maxFrequency, jitter = 0 }) {
+        const delay = Math.min(
+            frequency * backoffFactor ** attempt,
+            maxFrequency ?? Number.POSITIVE_INFINITY,
+        );
+        const deviation = delay * jitter * (Math.random() * 2 - 1);
+
+        return Math.max(0, Math.round((delay + deviation) * 1000));
+    }
+
+    /**
+     * Time polling takes to use up all status checks, pushed results are awaited as long.
+     */
+    getPollingDuration(options) {
+        let duration = 0;
+        for (let attempt = 0; attempt < options.maxNumberOfRetries; attempt += 1) {
+            duration += this.getBackoffDelay(attempt, { ...options, jitter: 0 });
+        }
+
+        return duration;
+    }
+
+    getSettleEventName(status) {
+        return status === OPERATION_STATUSES.COMPLETED ? 'completed' : 'failed';
+    }
+
+    /**
+     * Result of an operation that didn't finish in time, error is thrown by managers in strict mode.
+     */
+    getTimeoutResult(handle, error) {
+        const status = handle.status ?? OPERATION_STATUSES.PENDING;
+        const errorMessage = error
+            ? `Unable to get results: ${error.message}`
+            : 'Unable to get results. Max number of retries reached.';
+
+        return {
+            status,
+            data: {
+                errorType: 'DKG_CLIENT_ERROR',
+                errorMessage,
+            },
+            error: new OperationTimeoutError(errorMessage, {
+                operation: handle.operation,
+                operationId: handle.operationId,
+                status,
+                cause: error ?? undefined,
+            }),
+        };
+    }
+
+    async sleep(milliseconds, signal) {
+        this.throwIfAborted(signal);
+
+        await new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(this.getAbortError(signal));
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, milliseconds);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    throwIfAborted(signal) {
+        if (signal?.aborted) throw this.getAbortError(signal);
+    }
+
+    getAbortError(signal) {
+        if (signal.reason instanceof Error) return signal.reason;
+
+        const error = Error('Operation tracking was aborted.');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+module.exports = OperationTracker;
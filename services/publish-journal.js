@@ -0,0 +1,94 @@
+const { ethers } = require('ethers');
+
+/**
+ * Persists the progress of asset creation, so that an interrupted create can be resumed
+ * from the first step that wasn't completed. Every entry holds everything needed to continue
+ * (computed assertions, contract arguments, sent transactions, minted tokenId), but never any
+ * private keys. Private assertions are left out unless includePrivateAssertions is set, as
+ * stores such as the default file store keep entries in plaintext. Assets with a private
+ * assertion then have to be resumed with their content.
+ * When no store is configured, journaling is disabled and all methods are no-ops.
+ */
+class PublishJournal {
+    constructor(store, { includePrivateAssertions = false } = {}) {
+        this.store = store;
+        this.includePrivateAssertions = includePrivateAssertions;
+    }
+
+    isEnabled() {
+        return !!this.store;
+    }
+
+    async begin(entry) {
+        if (!this.store) return null;
+
+        const id = ethers.hexlify(ethers.randomBytes(16));
+        const timestamp = Date.now();
+        await this.store.set(id, {
+            ...entry,
+            ...(!this.includePrivateAssertions && { privateAssertion: null }),
+            id,
+            status: null,
+            steps: [],
+            createdAt: timestamp,
+            updatedAt: timestamp,
+        });
+
+        return id;
+    }
+
+    /**
+     * Records a completed step, data of the step is merged into the entry.
+     */
+    async recordStep(id, status, data = {}) {
+        if (!this.store || !id) return;
+
+        const entry = await this.store.get(id);
+        const timestamp = Date.now();
+        await this.store.set(id, {
+            ...entry,
+            ...data,
+            status,
+            steps: [...entry.steps, { status, timestamp }],
+            updatedAt: timestamp,
+        });
+    }
+
+    /**
+     * Records a sent transaction of the current step, so that a resumed create can find out
+     * whether it was mined. Transactions with another nonce start a new list of hashes.
+     */
+    async recordTransaction(id, { nonce, transactionHash }) {
+        if (!this.store || !id) return;
+
+        const entry = await this.store.get(id);
+        const previousHashes =
+            entry.transaction && entry.transaction.nonce === nonce
+                ? entry.transaction.transactionHashes
+                : [];
+        await this.store.set(id, {
+            ...entry,
+            transaction: { nonce, transactionHashes: [...previousHashes, transactionHash] },
+            updatedAt: Date.now(),
+        });
+    }
+
+    async get(id) {
+        if (!this.store) return null;
+
+        return this.store.get(id);
+    }
+
+    async list() {
+        if (!this.store) return [];
+
+        return this.store.list();
+    }
+
+    async complete(id) {
+        if (!this.store || !id) return;
+
+        await this.store.delete(id);
+    }
+}
+module.exports = PublishJournal;
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Key-value store persisting every value as a JSON file in a directory. Used on Node.js.
+ */
+class FileStore {
+    constructor(config = {}) {
+        this.directory = config.directory ?? path.join(process.cwd(), '.dkg', config.name);
+    }
+
+    async get(key) {
+        try {
+            const content = await fs.promises.readFile(this.getFilePath(key), 'utf-8');
+
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        // write to a temporary file first so that a crash never leaves a half written value
+        const filePath = this.getFilePath(key);
+        const temporaryFilePath = `${filePath}.tmp`;
+        await fs.promises.writeFile(
+            temporaryFilePath,
+            JSON.stringify(value, (_, item) => (typeof item === 'bigint' ? item.toString() : item)),
+        );
+        await fs.promises.rename(temporaryFilePath, filePath);
+    }
+
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this.getFilePath(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    async list() {
+        let fileNames;
+        try {
+            fileNames = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const values = await Promise.all(
+            fileNames
+                .filter((fileName) => fileName.endsWith('.json'))
+                .map((fileName) => this.get(decodeURIComponent(fileName.slice(0, -5)))),
+        );
+
+        return values.filter((value) => value != null);
+    }
+
+    getFilePath(key) {
+        return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+    }
+}
+module.exports = FileStore;
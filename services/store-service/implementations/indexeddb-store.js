@@ -0,0 +1,60 @@
+/**
+ * Key-value store backed by IndexedDB. Used in the browser.
+ */
+class IndexedDbStore {
+    constructor(config = {}) {
+        this.databaseName = config.databaseName ?? 'dkg.js';
+        this.storeName = config.name;
+    }
+
+    async get(key) {
+        const value = await this.request('readonly', (store) => store.get(key));
+
+        return value ?? null;
+    }
+
+    async set(key, value) {
+        await this.request('readwrite', (store) => store.put(value, key));
+    }
+
+    async delete(key) {
+        await this.request('readwrite', (store) => store.delete(key));
+    }
+
+    async list() {
+        return this.request('readonly', (store) => store.getAll());
+    }
+
+    async request(mode, createRequest) {
+        const database = await this.getDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getDatabase() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (typeof window === 'undefined' || !window.indexedDB) {
+                    reject(Error('IndexedDB is not available in this environment.'));
+                    return;
+                }
+
+                // every store lives in its own database so that adding one never requires a version upgrade
+                const request = window.indexedDB.open(`${this.databaseName}.${this.storeName}`, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.database;
+    }
+}
+module.exports = IndexedDbStore;
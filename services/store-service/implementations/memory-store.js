@@ -0,0 +1,25 @@
+/**
+ * Key-value store keeping values in memory, nothing survives a restart of the process.
+ */
+class MemoryStore {
+    constructor() {
+        this.values = new Map();
+    }
+
+    async get(key) {
+        return this.values.get(key) ?? null;
+    }
+
+    async set(key, value) {
+        this.values.set(key, value);
+    }
+
+    async delete(key) {
+        this.values.delete(key);
+    }
+
+    async list() {
+        return [...this.values.values()];
+    }
+}
+module.exports = MemoryStore;
@@ -0,0 +1,9 @@
+const FileStore = require('./implementations/file-store.js');
+const IndexedDbStore = require('./implementations/indexeddb-store.js');
+const MemoryStore = require('./implementations/memory-store.js');
+
+module.exports = {
+    File: FileStore,
+    IndexedDB: IndexedDbStore,
+    Memory: MemoryStore,
+};
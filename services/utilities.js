@@ -1,5 +1,7 @@
 const jsonld = require('jsonld');
-const { GRAPH_LOCATIONS, GRAPH_STATES, OT_NODE_TRIPLE_STORE_REPOSITORIES } = require('../constants.js');
+const { ethers } = require('ethers');
+const { GRAPH_LOCATIONS, GRAPH_STATES, OT_NODE_TRIPLE_STORE_REPOSITORIES, OPERATION_STATUSES } = require('../constants.js');
+const { ValidationError, OperationFailedError, NodeApiError } = require('../errors.js');
 
 module.exports = {
     nodeSupported() {
@@ -20,13 +22,39 @@ module.exports = {
             blockchain.startsWith('otp') ? 'otp' : blockchain.toLowerCase()
         }/${contract.toLowerCase()}/${tokenId}`;
     },
+    deriveAgreementId(contract, tokenId, firstAssertionId) {
+        const keyword = ethers.solidityPacked(['address', 'bytes32'], [contract, firstAssertionId]);
+
+        return ethers.sha256(
+            ethers.solidityPacked(['address', 'uint256', 'bytes'], [contract, tokenId, keyword]),
+        );
+    },
+    /**
+     * Calculates the epoch of the service agreement at timestamp and when it expires.
+     * @param {Object} agreementData - Agreement data as returned by the blockchain service.
+     * @param {number} timestamp - Unix timestamp in seconds, usually of the latest block.
+     */
+    getAgreementEpochs(agreementData, timestamp) {
+        const { startTime, epochsNumber, epochLength } = agreementData;
+        const currentEpoch = Math.floor((timestamp - startTime) / epochLength);
+        const expiryTime = startTime + epochsNumber * epochLength;
+
+        return {
+            currentEpoch,
+            // the current epoch is included
+            epochsLeft: Math.max(epochsNumber - currentEpoch, 0),
+            currentEpochEndTime: startTime + (currentEpoch + 1) * epochLength,
+            expiryTime,
+            expired: timestamp >= expiryTime,
+        };
+    },
     resolveUAL(ual) {
         const segments = ual.split(':');
         const argsString = segments.length === 3 ? segments[2] : segments[2] + segments[3];
         const args = argsString.split('/');
 
         if (args.length !== 3) {
-            throw new Error(`UAL doesn't have correct format: ${ual}`);
+            throw new ValidationError(`UAL doesn't have correct format: ${ual}`);
         }
 
         return {
@@ -46,15 +74,84 @@ module.exports = {
             case GRAPH_LOCATIONS.LOCAL_KG + GRAPH_STATES.HISTORICAL:
                 return OT_NODE_TRIPLE_STORE_REPOSITORIES.PRIVATE_HISTORY;
             default:
-                throw new Error(
+                throw new ValidationError(
                     `Unknown graph location and state: ${graphLocation}, ${graphState}`,
                 );
         }
     },
+    /**
+     * Converts a transaction in the format used by the blockchain services to an ethers
+     * transaction request.
+     */
+    toEthersTransactionRequest(tx) {
+        return {
+            // otherwise ethers would send access list transactions when gasPrice is set
+            type: tx.gasPrice != null ? 0 : 2,
+            from: tx.from,
+            to: tx.to,
+            data: tx.data,
+            value: tx.value,
+            nonce: tx.nonce,
+            chainId: tx.chainId,
+            gasLimit: tx.gas,
+            gasPrice: tx.gasPrice,
+            maxFeePerGas: tx.maxFeePerGas,
+            maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+        };
+    },
     async sleepForMilliseconds(milliseconds) {
         // eslint-disable-next-line no-promise-executor-return
         await new Promise((r) => setTimeout(r, milliseconds));
     },
+    async mapWithConcurrency(items, concurrency, mapper) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex;
+                nextIndex += 1;
+                // eslint-disable-next-line no-await-in-loop
+                results[index] = await mapper(items[index], index);
+            }
+        };
+        await Promise.all(
+            Array.from({ length: Math.min(concurrency, items.length) }, () => worker()),
+        );
+
+        return results;
+    },
+    /**
+     * Passes the request through the middleware in order, each of them is called with the request
+     * and next, which continues with the next middleware or the handler. Middleware can modify the
+     * request, pass another one to next, or resolve to a response without calling next.
+     */
+    async runMiddleware(middleware, request, handler) {
+        const dispatch = async (index, currentRequest) => {
+            if (index === middleware.length) return handler(currentRequest);
+
+            return middleware[index](currentRequest, (nextRequest = currentRequest) =>
+                dispatch(index + 1, nextRequest),
+            );
+        };
+
+        return dispatch(0, request);
+    },
+    /**
+     * Error of a failed node API request. Aborted requests reject with the abort reason, so that
+     * they aren't mistaken for requests the node didn't respond to.
+     */
+    getNodeApiError(message, error, { signal } = {}, operationId = null) {
+        if (signal?.aborted) {
+            if (signal.reason instanceof Error) return signal.reason;
+
+            const abortError = Error('Request was aborted.');
+            abortError.name = 'AbortError';
+            return abortError;
+        }
+
+        return new NodeApiError(`${message}: ${error.message}`, { operationId, cause: error });
+    },
     capitalizeFirstLetter(str) {
         return str[0].toUpperCase() + str.slice(1);
     },
@@ -68,6 +165,18 @@ module.exports = {
             ...operationData,
         };
     },
+    /**
+     * Returns the error of a tracked operation that timed out or failed, null otherwise.
+     */
+    getOperationError(operationResult, operation, operationId) {
+        if (operationResult.error) return operationResult.error;
+        if (operationResult.status !== OPERATION_STATUSES.FAILED) return null;
+
+        return new OperationFailedError(
+            operationResult.data?.errorMessage ?? `Operation ${operation} failed.`,
+            { operation, operationId, nodeErrorType: operationResult.data?.errorType },
+        );
+    },
     async toNQuads(content, inputFormat) {
         const options = {
             algorithm: 'URDNA2015',
@@ -82,6 +191,49 @@ module.exports = {
 
         return canonized.split('\n').filter((x) => x !== '');
     },
+    /**
+     * Blank node labels are assigned by canonicalization and change with unrelated quads, so
+     * quads are compared with the labels left out.
+     */
+    diffNQuads(fromNQuads, toNQuads) {
+        const getKey = (quad) => quad.replace(/_:c14n\d+/g, '_:');
+        const countKeys = (quads) => {
+            const counts = new Map();
+            quads.forEach((quad) => counts.set(getKey(quad), (counts.get(getKey(quad)) ?? 0) + 1));
+            return counts;
+        };
+        const subtract = (quads, counts) =>
+            quads.filter((quad) => {
+                const count = counts.get(getKey(quad)) ?? 0;
+                if (!count) return true;
+                counts.set(getKey(quad), count - 1);
+                return false;
+            });
+
+        return {
+            added: subtract(toNQuads, countKeys(fromNQuads)),
+            removed: subtract(fromNQuads, countKeys(toNQuads)),
+        };
+    },
+    /**
+     * Verifies that a quad is a chunk of an assertion, using the same hashing as calculateRoot.
+     * @param {string} assertionId - Merkle root of the assertion.
+     * @param {string} quad - The quad, as in the canonicalized assertion.
+     * @param {Object} proof - Index of the quad in the sorted assertion and hashes of its siblings.
+     */
+    verifyMerkleProof(assertionId, quad, { index, proof }) {
+        let hash = ethers.keccak256(
+            ethers.solidityPacked(
+                ['bytes32', 'uint256'],
+                [ethers.keccak256(ethers.toUtf8Bytes(quad)), index],
+            ),
+        );
+        proof.forEach((sibling) => {
+            hash = ethers.keccak256(ethers.concat([hash, sibling.toLowerCase()].sort()));
+        });
+
+        return hash === assertionId.toLowerCase();
+    },
     async toJSONLD(nquads) {
         return jsonld.fromRDF(nquads, {
             algorithm: 'URDNA2015',
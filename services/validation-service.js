@@ -1,5 +1,8 @@
-const { ASSET_STATES, CONTENT_TYPES, GRAPH_LOCATIONS, GRAPH_STATES, MAX_FILE_SIZE, OPERATIONS, GET_OUTPUT_FORMATS, QUERY_TYPES } = require('../constants.js');
+const { ASSET_EVENTS, ASSET_STATES, CONTENT_TYPES, GRAPH_LOCATIONS, GRAPH_STATES, MAX_FILE_SIZE, NODE_POOL_STRATEGIES, OPERATIONS, GET_OUTPUT_FORMATS, QUERY_TYPES } = require('../constants.js');
 const { nodeSupported } = require('./utilities.js');
+const { ValidationError } = require('../errors.js');
+const FeeStrategyInterface = require('./blockchain-service/fee-strategies/fee-strategy-interface.js');
+const SignerInterface = require('./blockchain-service/signers/signer-interface.js');
 
 class ValidationService {
     validateNodeInfo(endpoint, port, authToken) {
@@ -43,6 +46,7 @@ class ValidationService {
         immutable,
         tokenAmount,
         authToken,
+        dryRun,
     ) {
         this.validateContent(content)
         this.validateBlockchain(blockchain, OPERATIONS.PUBLISH);
@@ -56,6 +60,55 @@ class ValidationService {
         this.validateImmutable(immutable);
         this.validateTokenAmount(tokenAmount);
         this.validateAuthToken(authToken);
+        this.validateDryRun(dryRun);
+    }
+
+    validateAssetCreateMany(
+        contents,
+        blockchain,
+        endpoint,
+        port,
+        maxNumberOfRetries,
+        frequency,
+        epochsNum,
+        hashFunctionId,
+        scoreFunctionId,
+        immutable,
+        tokenAmount,
+        authToken,
+        concurrency,
+    ) {
+        this.validateContents(contents);
+        this.validateBlockchain(blockchain, OPERATIONS.PUBLISH);
+        this.validateEndpoint(endpoint);
+        this.validatePort(port);
+        this.validateMaxNumberOfRetries(maxNumberOfRetries);
+        this.validateFrequency(frequency);
+        this.validateEpochsNum(epochsNum);
+        this.validateHashFunctionId(hashFunctionId);
+        this.validateScoreFunctionId(scoreFunctionId);
+        this.validateImmutable(immutable);
+        this.validateTokenAmount(tokenAmount);
+        this.validateAuthToken(authToken);
+        this.validateConcurrency(concurrency);
+    }
+
+    validateAssetResume(
+        journalId,
+        blockchain,
+        endpoint,
+        port,
+        maxNumberOfRetries,
+        frequency,
+        authToken,
+    ) {
+        this.validateJournalId(journalId);
+        this.validateBlockchain(blockchain, OPERATIONS.PUBLISH);
+        this.validateEndpoint(endpoint);
+        this.validatePort(port);
+        this.validateMaxNumberOfRetries(maxNumberOfRetries);
+        this.validateFrequency(frequency);
+        this.validateAuthToken(authToken);
     }
 
     validateAssetGet(
@@ -71,6 +124,10 @@ class ValidationService {
         validate,
         outputFormat,
         authToken,
+        stateIndex,
+        assertionId,
+        atTimestamp,
+        fromBlock,
     ) {
         this.validateUAL(UAL);
         this.validateBlockchain(blockchain, OPERATIONS.GET);
@@ -84,6 +141,8 @@ class ValidationService {
         this.validateValidate(validate);
         this.validateOutputFormat(outputFormat);
         this.validateAuthToken(authToken);
+        this.validateHistoricalState(stateIndex, assertionId, atTimestamp);
+        if (fromBlock != null) this.validateBlockNumber('fromBlock', fromBlock);
     }
 
     validateAssetUpdate(
@@ -97,6 +156,7 @@ class ValidationService {
         scoreFunctionId,
         tokenAmount,
         authToken,
+        dryRun,
     ) {
         this.validateContent(content)
         this.validateBlockchain(blockchain, OPERATIONS.UPDATE);
@@ -108,6 +168,7 @@ class ValidationService {
         this.validateScoreFunctionId(scoreFunctionId);
         this.validateTokenAmount(tokenAmount);
         this.validateAuthToken(authToken);
+        this.validateDryRun(dryRun);
     }
 
     validateWaitAssetUpdateFinalization(UAL, blockchain) {
@@ -120,10 +181,11 @@ class ValidationService {
         this.validateBlockchain(blockchain);
     }
 
-    validateAssetTransfer(UAL, newOwner, blockchain) {
+    validateAssetTransfer(UAL, newOwner, blockchain, dryRun) {
         this.validateUAL(UAL);
         this.validateNewOwner(newOwner);
         this.validateBlockchain(blockchain);
+        this.validateDryRun(dryRun);
     }
 
     validateAssetGetOwner(UAL, blockchain) {
@@ -131,26 +193,175 @@ class ValidationService {
         this.validateBlockchain(blockchain);
     }
 
+    validateAssetGetInfo(UAL, blockchain) {
+        this.validateUAL(UAL);
+        this.validateBlockchain(blockchain);
+    }
+
+    validateAssetGetHistory(UAL, blockchain, fromBlock) {
+        this.validateUAL(UAL);
+        this.validateBlockchain(blockchain);
+        if (fromBlock != null) this.validateBlockNumber('fromBlock', fromBlock);
+    }
+
+    validateAssetPatch(UAL, patch, blockchain) {
+        this.validateUAL(UAL);
+        this.validateRequiredParam('patch', patch);
+        this.validateParamType('patch', patch, 'object');
+        if (patch.add == null && patch.remove == null)
+            throw new ValidationError('Patch must contain quads to add or remove.');
+        this.validateBlockchain(blockchain, OPERATIONS.UPDATE);
+    }
+
+    validateAssetProveTriple(UAL, quad, contentType) {
+        this.validateUAL(UAL);
+        this.validateRequiredParam('quad', quad);
+        if (!['string', 'number'].includes(typeof quad))
+            throw new ValidationError('quad must be a quad string or a chunk index.');
+        this.validateContentType(contentType);
+        if (contentType === CONTENT_TYPES.ALL)
+            throw new ValidationError('Proofs can be built either for public or private assertions.');
+    }
+
+    validateProof(assertionId, quad, proof) {
+        this.validateRequiredParam('assertionId', assertionId);
+        this.validateParamType('assertionId', assertionId, 'string');
+        this.validateRequiredParam('quad', quad);
+        this.validateParamType('quad', quad, 'string');
+        this.validateRequiredParam('proof', proof);
+        this.validateRequiredParam('proof index', proof.index);
+        if (!Array.isArray(proof.proof)) throw new ValidationError('proof must contain an array of hashes.');
+    }
+
+    validateAssetDiff(UAL, fromState, toState, contentType) {
+        this.validateUAL(UAL);
+        this.validateDiffState('fromState', fromState);
+        this.validateDiffState('toState', toState);
+        this.validateContentType(contentType);
+    }
+
     validateAssetBurn(UAL, blockchain) {
         this.validateUAL(UAL);
         this.validateBlockchain(blockchain);
     }
 
-    validateExtendAssetStoringPeriod(UAL, epochsNum, tokenAmount, blockchain) {
+    validateExtendAssetStoringPeriod(UAL, epochsNum, tokenAmount, blockchain, dryRun) {
         this.validateUAL(UAL);
         this.validateEpochsNum(epochsNum);
         this.validateTokenAmount(tokenAmount);
         this.validateBlockchain(blockchain);
+        this.validateDryRun(dryRun);
+    }
+
+    validateAssetPlanRenewals(
+        UALs,
+        blockchain,
+        endpoint,
+        port,
+        authToken,
+        hashFunctionId,
+        horizonEpochs,
+        epochsNum,
+        budget,
+        concurrency,
+    ) {
+        this.validateRequiredParam('UALs', UALs);
+        if (!Array.isArray(UALs)) throw new ValidationError('UALs must be an array.');
+        UALs.forEach((UAL) => this.validateUAL(UAL));
+        this.validateBlockchain(blockchain);
+        this.validateEndpoint(endpoint);
+        this.validatePort(port);
+        this.validateAuthToken(authToken);
+        this.validateHashFunctionId(hashFunctionId);
+        this.validateRequiredParam('horizonEpochs', horizonEpochs);
+        this.validateParamType('horizonEpochs', horizonEpochs, 'number');
+        if (horizonEpochs < 1) throw new ValidationError('horizonEpochs must be at least 1.');
+        if (epochsNum != null) this.validateEpochsNum(epochsNum);
+        if (budget != null) this.validateAmount(budget, 'budget');
+        this.validateConcurrency(concurrency);
     }
 
-    validateAddTokens(UAL, tokenAmount, blockchain) {
+    validateAssetExecuteRenewals(plan, blockchain) {
+        this.validateRequiredParam('plan', plan);
+        if (!Array.isArray(plan.assets)) throw new ValidationError('plan must contain an array of assets.');
+        this.validateBlockchain(blockchain);
+    }
+
+    validateAssetListOwned(owner, blockchain, fromBlock, confirmations, enrich, concurrency) {
+        this.validateAddress('owner', owner);
+        this.validateBlockchain(blockchain, OPERATIONS.GET);
+        if (fromBlock != null) this.validateBlockNumber('fromBlock', fromBlock);
+        this.validateConfirmations(confirmations);
+        this.validateParamType('enrich', enrich, 'boolean');
+        this.validateConcurrency(concurrency);
+    }
+
+    validateAddTokens(UAL, tokenAmount, blockchain, dryRun) {
         this.validateUAL(UAL);
         this.validateTokenAmount(tokenAmount);
         this.validateBlockchain(blockchain);
+        this.validateDryRun(dryRun);
+    }
+
+    validateServiceAgreement(UAL, blockchain) {
+        this.validateUAL(UAL);
+        this.validateBlockchain(blockchain, OPERATIONS.GET);
+    }
+
+    validateTokenBalanceOf(address, blockchain) {
+        if (address != null) this.validateAddress('address', address);
+        this.validateBlockchain(blockchain, OPERATIONS.GET);
+    }
+
+    validateTokenAllowance(spender, blockchain) {
+        if (spender != null) this.validateAddress('spender', spender);
+        this.validateBlockchain(blockchain, OPERATIONS.GET);
+    }
+
+    validateTokenAllowanceChange(amount, spender, blockchain) {
+        this.validateAmount(amount);
+        if (spender != null) this.validateAddress('spender', spender);
+        this.validateBlockchain(blockchain);
+    }
+
+    validateTokenTransfer(to, amount, blockchain) {
+        this.validateAddress('to', to);
+        this.validateAmount(amount);
+        this.validateBlockchain(blockchain);
+    }
+
+    validateEventsSubscribe(
+        filter,
+        handler,
+        blockchain,
+        frequency,
+        confirmations,
+        fromBlock,
+        concurrency,
+    ) {
+        this.validateEventFilter(filter);
+        this.validateRequiredParam('eventName', filter.eventName);
+        this.validateParamType('handler', handler, 'function');
+        this.validateBlockchain(blockchain, OPERATIONS.GET);
+        this.validateFrequency(frequency);
+        this.validateConfirmations(confirmations);
+        if (fromBlock != null) this.validateBlockNumber('fromBlock', fromBlock);
+        this.validateConcurrency(concurrency);
+    }
+
+    validateEventsGetPast(filter, blockchain, confirmations, fromBlock, toBlock, concurrency) {
+        this.validateEventFilter(filter);
+        this.validateBlockchain(blockchain, OPERATIONS.GET);
+        this.validateConfirmations(confirmations);
+        if (fromBlock != null) this.validateBlockNumber('fromBlock', fromBlock);
+        if (toBlock != null) this.validateBlockNumber('toBlock', toBlock);
+        if (fromBlock != null && toBlock != null && fromBlock > toBlock)
+            throw new ValidationError('fromBlock must not be greater than toBlock.');
+        this.validateConcurrency(concurrency);
     }
 
     validateRequiredParam(paramName, param) {
-        if (param == null) throw Error(`${paramName} is missing.`);
+        if (param == null) throw new ValidationError(`${paramName} is missing.`);
     }
 
     validateParamType(paramName, param, type) {
@@ -159,7 +370,7 @@ class ValidationService {
             parameter = parseInt(param, 10);
         }
         // eslint-disable-next-line valid-typeof
-        if (typeof parameter !== type) throw Error(`${paramName} must be of type ${type}.`);
+        if (typeof parameter !== type) throw new ValidationError(`${paramName} must be of type ${type}.`);
     }
 
     validateQueryString(queryString) {
@@ -171,21 +382,21 @@ class ValidationService {
         this.validateRequiredParam('queryType', queryType);
         const validQueryTypes = Object.values(QUERY_TYPES);
         if (!validQueryTypes.includes(queryType))
-            throw Error(`Invalid query Type: available query types: ${validQueryTypes}`);
+            throw new ValidationError(`Invalid query Type: available query types: ${validQueryTypes}`);
     }
 
     validateGraphLocation(graphLocation) {
         this.validateRequiredParam('graphLocation', graphLocation);
         const validGraphLocations = Object.keys(GRAPH_LOCATIONS);
         if (!validGraphLocations.includes(graphLocation))
-            throw Error(`Invalid graph location: available locations: ${validGraphLocations}`);
+            throw new ValidationError(`Invalid graph location: available locations: ${validGraphLocations}`);
     }
 
     validateGraphState(graphState) {
         this.validateRequiredParam('graphState', graphState);
         const validGraphStates = Object.keys(GRAPH_STATES);
         if (!validGraphStates.includes(graphState))
-            throw Error(`Invalid graph state: available states: ${validGraphStates}`);
+            throw new ValidationError(`Invalid graph state: available states: ${validGraphStates}`);
     }
 
     validateUAL(ual) {
@@ -196,11 +407,16 @@ class ValidationService {
         const argsString = segments.length === 3 ? segments[2] : segments[2] + segments[3];
         const args = argsString.split('/');
 
-        if (!(args?.length === 3)) throw Error('Invalid UAL.');
+        if (!(args?.length === 3)) throw new ValidationError('Invalid UAL.');
+    }
+
+    validateJournalId(journalId) {
+        this.validateRequiredParam('journalId', journalId);
+        this.validateParamType('journalId', journalId, 'string');
     }
 
     validateObjectType(obj) {
-        if (!(!!obj && typeof obj === 'object')) throw Error('Content must be an object');
+        if (!(!!obj && typeof obj === 'object')) throw new ValidationError('Content must be an object');
     }
 
     validateContent(content) {
@@ -212,21 +428,33 @@ class ValidationService {
             !(keys.length === 1 && (keys.includes('public') || keys.includes('private'))) &&
             !(keys.length === 2 && (keys.includes('public') || keys.includes('private')))
         )
-            throw Error('content keys can only be "public", "private" or both.');
+            throw new ValidationError('content keys can only be "public", "private" or both.');
 
         if (!content.public && !content.private) {
-            throw Error('Public or private content must be defined');
+            throw new ValidationError('Public or private content must be defined');
         }
 
         if (Buffer.byteLength(JSON.stringify(content), 'utf-8') > MAX_FILE_SIZE)
-            throw Error(`File size limit is ${MAX_FILE_SIZE / (1024 * 1024)}MB.`);
+            throw new ValidationError(`File size limit is ${MAX_FILE_SIZE / (1024 * 1024)}MB.`);
+    }
+
+    validateContents(contents) {
+        this.validateRequiredParam('contents', contents);
+        if (!Array.isArray(contents) || !contents.length)
+            throw new ValidationError('contents must be a non-empty array.');
+    }
+
+    validateConcurrency(concurrency) {
+        this.validateRequiredParam('concurrency', concurrency);
+        this.validateParamType('concurrency', concurrency, 'number');
+        if (concurrency < 1) throw new ValidationError('concurrency must be at least 1.');
     }
 
     validateEndpoint(endpoint) {
         this.validateRequiredParam('endpoint', endpoint);
         this.validateParamType('endpoint', endpoint, 'string');
         if (!endpoint.startsWith('http') && !endpoint.startsWith('ws'))
-            throw Error('Endpoint should start with either "http" or "ws"');
+            throw new ValidationError('Endpoint should start with either "http" or "ws"');
     }
 
     validatePort(port) {
@@ -249,7 +477,32 @@ class ValidationService {
         this.validateParamType('state', state, 'string');
         const validStates = Object.values(ASSET_STATES);
         if (!validStates.includes(state.toUpperCase()))
-            throw Error(`Invalid state, available states: ${validStates}`);
+            throw new ValidationError(`Invalid state, available states: ${validStates}`);
+    }
+
+    validateHistoricalState(stateIndex, assertionId, atTimestamp) {
+        if ([stateIndex, assertionId, atTimestamp].filter((param) => param != null).length > 1)
+            throw new ValidationError('Only one of stateIndex, assertionId and atTimestamp can be provided.');
+
+        if (stateIndex != null) {
+            this.validateParamType('stateIndex', stateIndex, 'number');
+            if (!Number.isInteger(stateIndex) || stateIndex < 0)
+                throw new ValidationError('stateIndex must be a non-negative integer.');
+        }
+        if (assertionId != null) {
+            this.validateParamType('assertionId', assertionId, 'string');
+            if (!/^0x[0-9a-fA-F]{64}$/.test(assertionId))
+                throw new ValidationError('assertionId must be a 32 bytes hex string.');
+        }
+        if (atTimestamp != null) this.validateParamType('atTimestamp', atTimestamp, 'number');
+    }
+
+    validateDiffState(paramName, state) {
+        this.validateRequiredParam(paramName, state);
+        if (!['number', 'string', 'object'].includes(typeof state))
+            throw new ValidationError(
+                `${paramName} must be a state index, an assertion id, an asset state or an object with get options.`,
+            );
     }
 
     validateContentType(contentType) {
@@ -257,7 +510,7 @@ class ValidationService {
 
         const validContentTypes = Object.values(CONTENT_TYPES);
         if (!validContentTypes.includes(contentType))
-          throw Error(`Invalid content visibility! Available parameters: ${validContentTypes}`)
+          throw new ValidationError(`Invalid content visibility! Available parameters: ${validContentTypes}`)
     }
 
     validateEpochsNum(epochsNum) {
@@ -292,6 +545,11 @@ class ValidationService {
         this.validateParamType('authToken', authToken, 'string');
     }
 
+    validateDryRun(dryRun) {
+        this.validateRequiredParam('dryRun', dryRun);
+        this.validateParamType('dryRun', dryRun, 'boolean');
+    }
+
     validateValidate(validate) {
         this.validateRequiredParam('validate', validate);
         this.validateParamType('validate', validate, 'boolean');
@@ -301,7 +559,7 @@ class ValidationService {
         this.validateRequiredParam('outputFormat', outputFormat);
         const validOutputFormats = Object.values(GET_OUTPUT_FORMATS);
         if (!validOutputFormats.includes(outputFormat))
-            throw Error(`Invalid query Type: available query types: ${validOutputFormats}`);
+            throw new ValidationError(`Invalid query Type: available query types: ${validOutputFormats}`);
     }
 
     validateBlockchain(blockchain, operation) {
@@ -310,12 +568,134 @@ class ValidationService {
         this.validateRequiredParam('blockchain hub contract', blockchain.hubContract);
         if (nodeSupported()) {
             this.validateRequiredParam('blockchain rpc', blockchain.rpc);
+            this.validateRpc(blockchain.rpc, blockchain.quorum);
 
-            if (operation !== OPERATIONS.GET) {
+            if (operation !== OPERATIONS.GET && blockchain.signer == null) {
                 this.validateRequiredParam('blockchain public key', blockchain.publicKey);
                 this.validateRequiredParam('blockchain private key', blockchain.privateKey);
             }
         }
+        if (blockchain.signer != null) this.validateSigner(blockchain.signer);
+        if (blockchain.feeStrategy != null) this.validateFeeStrategy(blockchain.feeStrategy);
+        if (blockchain.gasLimitMultiplier != null) {
+            this.validateParamType('gasLimitMultiplier', blockchain.gasLimitMultiplier, 'number');
+            if (blockchain.gasLimitMultiplier < 1)
+                throw new ValidationError('gasLimitMultiplier must not be lower than 1.');
+        }
+        if (blockchain.reuseAllowance != null)
+            this.validateParamType('reuseAllowance', blockchain.reuseAllowance, 'boolean');
+        if (blockchain.logBlockRange != null) {
+            this.validateParamType('logBlockRange', blockchain.logBlockRange, 'number');
+            if (!Number.isInteger(blockchain.logBlockRange) || blockchain.logBlockRange < 1)
+                throw new ValidationError('logBlockRange must be a positive integer.');
+        }
+    }
+
+    validateRpc(rpc, quorum) {
+        if (Array.isArray(rpc)) {
+            if (!rpc.length) throw new ValidationError('blockchain rpc must not be an empty array.');
+            rpc.forEach((url) => this.validateParamType('blockchain rpc', url, 'string'));
+        } else {
+            this.validateParamType('blockchain rpc', rpc, 'string');
+        }
+        if (quorum != null) {
+            if (!Array.isArray(rpc)) throw new ValidationError('quorum requires a list of RPCs.');
+            this.validateParamType('quorum', quorum, 'number');
+            if (!Number.isInteger(quorum) || quorum < 1 || quorum > rpc.length)
+                throw new ValidationError('quorum must be an integer between 1 and the number of RPCs.');
+        }
+    }
+
+    validateSigner(signer) {
+        this.validateParamType('signer', signer, 'object');
+        if (signer.type == null) {
+            if (
+                typeof signer.getAddress !== 'function' ||
+                typeof signer.signTransaction !== 'function'
+            )
+                throw new ValidationError('Custom signer must implement getAddress and signTransaction functions.');
+            return;
+        }
+        const validSignerTypes = Object.keys(SignerInterface);
+        if (!validSignerTypes.includes(signer.type))
+            throw new ValidationError(`Invalid signer type: available signer types: ${validSignerTypes}`);
+    }
+
+    validateFeeStrategy(feeStrategy) {
+        if (typeof feeStrategy === 'object') {
+            if (typeof feeStrategy.getFees !== 'function')
+                throw new ValidationError('Custom fee strategy must implement getFees function.');
+            return;
+        }
+        const validFeeStrategies = Object.keys(FeeStrategyInterface);
+        if (!validFeeStrategies.includes(feeStrategy))
+            throw new ValidationError(`Invalid fee strategy: available fee strategies: ${validFeeStrategies}`);
+    }
+
+    validateAddress(paramName, address) {
+        this.validateRequiredParam(paramName, address);
+        this.validateParamType(paramName, address, 'string');
+    }
+
+    validateAmount(amount, paramName = 'amount') {
+        this.validateRequiredParam(paramName, amount);
+        let value;
+        try {
+            value = BigInt(amount);
+        } catch (error) {
+            throw new ValidationError(`${paramName} must be an integer amount in wei.`);
+        }
+        if (value < 0n) throw new ValidationError(`${paramName} must not be negative.`);
+    }
+
+    validateNodePool(nodes, nodePoolOptions) {
+        if (!Array.isArray(nodes) || !nodes.length)
+            throw new ValidationError('nodes must be a non-empty array.');
+        nodes.forEach((node) => {
+            this.validateEndpoint(node.endpoint);
+            if (node.port != null) this.validatePort(node.port);
+            if (node.weight != null) {
+                this.validateParamType('node weight', node.weight, 'number');
+                if (!(node.weight > 0)) throw new ValidationError('node weight must be positive.');
+            }
+        });
+        if (nodePoolOptions?.strategy != null) {
+            const validStrategies = Object.values(NODE_POOL_STRATEGIES);
+            if (!validStrategies.includes(nodePoolOptions.strategy))
+                throw new ValidationError(`Invalid node pool strategy, available strategies: ${validStrategies}`);
+        }
+        if (nodePoolOptions?.healthCheckInterval != null)
+            this.validateParamType('healthCheckInterval', nodePoolOptions.healthCheckInterval, 'number');
+    }
+
+    validateMiddleware(middleware) {
+        if (!Array.isArray(middleware))
+            throw new ValidationError('middleware must be an array of functions.');
+        middleware.forEach((item) => this.validateParamType('middleware', item, 'function'));
+    }
+
+    validateEventFilter(filter) {
+        this.validateParamType('filter', filter, 'object');
+        if (filter.eventName != null) {
+            const validEventNames = Object.values(ASSET_EVENTS);
+            if (!validEventNames.includes(filter.eventName))
+                throw new ValidationError(`Invalid event name, available events: ${validEventNames}`);
+        }
+        if (filter.UAL != null) this.validateUAL(filter.UAL);
+        if (filter.owner != null) this.validateAddress('owner', filter.owner);
+    }
+
+    validateConfirmations(confirmations) {
+        this.validateRequiredParam('confirmations', confirmations);
+        this.validateParamType('confirmations', confirmations, 'number');
+        if (!Number.isInteger(confirmations) || confirmations < 0)
+            throw new ValidationError('confirmations must be a non-negative integer.');
+    }
+
+    validateBlockNumber(paramName, blockNumber) {
+        this.validateParamType(paramName, blockNumber, 'number');
+        if (!Number.isInteger(blockNumber) || blockNumber < 0)
+            throw new ValidationError(`${paramName} must be a non-negative integer.`);
     }
 
     validateNewOwner(newOwner) {
@@ -20,7 +20,15 @@ module.exports = {
             process: 'process/browser',
         }),
     ],
+    // the web3.js adapter uses the Web3 injected into the page, ethers is bundled instead
+    externals: {
+        web3: 'Web3',
+    },
     resolve: {
+        // browsers use their own WebSocket, see the socket node API service
+        alias: {
+            ws: false,
+        },
         fallback: {
             fs: false,
             zlib: false,